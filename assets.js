@@ -0,0 +1,138 @@
+// Asset loading - every model and texture is loaded through one THREE.LoadingManager, with a progress bar
+// Files are cached by URL, so a model or sky used again (by the next level, a restart or another aircraft)
+// isn't downloaded and parsed again (a model used in two ways, with two prepare functions, is loaded once for each)
+// Callers handle failures themselves, falling back to another file or a built-in shape
+
+const assetManager = new THREE.LoadingManager();
+const gltfLoader = new THREE.GLTFLoader(assetManager);
+const textureLoader = new THREE.TextureLoader(assetManager);
+
+let modelCache = new Map(); // URL -> Map(prepare function -> promise of the loaded and prepared model)
+let textureCache = new Map(); // URL -> promise of the loaded texture
+let sharedResources = new WeakSet(); // Geometries, materials and textures of cached files, reused by every copy
+let assetFileProgress = new Map(); // Load (a token per trackAsset call) -> fraction downloaded, for files still loading
+let assetBatchStart = 0; // Manager's loaded item count when the current batch of loads started
+let pendingAssets = 0; // Files still loading
+let assetWaiters = []; // Resolves promises from waitForAssets() once nothing is loading
+
+assetManager.onStart = (url, itemsLoaded) => {
+    assetBatchStart = itemsLoaded;
+};
+assetManager.onProgress = updateLoadingBar;
+assetManager.onError = url => console.error(`Error loading ${url}`);
+
+// Load a GLB model, prepare(model) runs once when it first arrives (like turning on shadows)
+// Resolves with the cached model, which callers clone rather than add to the scene
+// Each prepare function gets a model of its own, since preparing can change the materials the copies share
+function loadModel(url, prepare = null) {
+    if (!modelCache.has(url)) {
+        modelCache.set(url, new Map());
+    }
+    const prepared = modelCache.get(url);
+
+    if (!prepared.has(prepare)) {
+        prepared.set(prepare, trackAsset(url, (onLoad, onProgress, onError) => {
+            gltfLoader.load(url, gltf => {
+                if (prepare) prepare(gltf.scene);
+                markSharedResources(gltf.scene);
+                onLoad(gltf.scene);
+            }, onProgress, onError);
+        }, () => prepared.delete(prepare)));
+    }
+    return prepared.get(prepare);
+}
+
+// Load an image as a texture
+function loadTexture(url) {
+    if (!textureCache.has(url)) {
+        textureCache.set(url, trackAsset(url, (onLoad, onProgress, onError) => {
+            textureLoader.load(url, texture => {
+                sharedResources.add(texture);
+                onLoad(texture);
+            }, onProgress, onError);
+        }, () => textureCache.delete(url)));
+    }
+    return textureCache.get(url);
+}
+
+// Remember what a cached model is made of, so freeing a copy of it leaves the cached model intact
+function markSharedResources(model) {
+    model.traverse((child) => {
+        if (child.geometry) sharedResources.add(child.geometry);
+        if (!child.material) return;
+        (Array.isArray(child.material) ? child.material : [child.material]).forEach(material => {
+            sharedResources.add(material);
+            Object.values(material).forEach(value => {
+                if (value && value.isTexture) sharedResources.add(value);
+            });
+        });
+    });
+}
+
+// Is a geometry, material or texture part of a cached file?
+function isSharedResource(resource) {
+    return sharedResources.has(resource);
+}
+
+// Run a loader as a promise, counting it as pending until it settles
+// Failures aren't cached (forget() takes them out of the cache), so a file that was briefly unreachable
+// is tried again next time
+function trackAsset(url, load, forget) {
+    // Two loads of one URL (with different prepare functions) each show their own progress
+    const token = {};
+    pendingAssets++;
+    assetFileProgress.set(token, 0);
+
+    return new Promise((resolve, reject) => {
+        const onProgress = xhr => {
+            if (xhr.lengthComputable) {
+                assetFileProgress.set(token, xhr.loaded / xhr.total);
+                updateLoadingBar();
+            }
+        };
+        const onError = error => {
+            forget();
+            reject(error || new Error(`Could not load ${url}`));
+        };
+        load(resolve, onProgress, onError);
+    }).finally(() => {
+        pendingAssets--;
+        assetFileProgress.delete(token);
+        updateLoadingBar();
+
+        // Waiters run after the callers' own handlers for this file, so what they build is ready too
+        if (pendingAssets === 0) setTimeout(releaseAssetWaiters);
+    });
+}
+
+// Resolves once every file that's loading has arrived (or failed), showing the loading screen until then
+function waitForAssets() {
+    if (pendingAssets === 0) return Promise.resolve();
+
+    document.getElementById('loading-screen').classList.remove('hidden');
+    updateLoadingBar();
+    return new Promise(resolve => assetWaiters.push(resolve));
+}
+
+function releaseAssetWaiters() {
+    if (pendingAssets > 0) return; // Something else started loading meanwhile
+
+    document.getElementById('loading-screen').classList.add('hidden');
+    const waiters = assetWaiters;
+    assetWaiters = [];
+    waiters.forEach(resolve => resolve());
+}
+
+// Fill the progress bar: whole files done in this batch, plus the downloaded part of the ones still loading
+function updateLoadingBar() {
+    const total = assetManager.itemsTotal - assetBatchStart;
+    if (total <= 0) return;
+
+    let done = assetManager.itemsLoaded - assetBatchStart;
+    assetFileProgress.forEach(fraction => {
+        done += fraction;
+    });
+    const percent = Math.min(100, Math.round(done / total * 100));
+    document.getElementById('loading-bar-fill').style.width = `${percent}%`;
+    document.getElementById('loading-percent').textContent = `${percent}%`;
+}
@@ -0,0 +1,303 @@
+// Sound - everything is synthesized with Web Audio, so there are no sound files to load
+// Engine drone and wind follow the flight, stingers mark crashes, rings and finishes,
+// and each level theme has a quiet ambient chord underneath
+// Browsers only allow sound after the player interacts, so nothing starts before the first click or key press
+
+// ===== SOUND =====
+const ENGINE_BASE_PITCH = 55; // Hz of the engine at the aircraft's lowest speed
+const ENGINE_PITCH_RANGE = 70; // Hz added at top speed
+const ENGINE_THROTTLE_PITCH = 12; // Hz added at full throttle (the engine revs before the plane speeds up)
+const ENGINE_VOLUME = 0.08; // Idle engine volume
+const ENGINE_THROTTLE_VOLUME = 0.1; // Volume added at full throttle
+const WIND_VOLUME = 0.25; // Wind volume at top speed (it grows with the square of speed)
+const WHOOSH_DISTANCE = 8; // Pillars passed closer than this many metres whoosh, louder the closer they are
+const WHOOSH_VOLUME = 0.5;
+const AMBIENT_VOLUME = 0.06; // Volume of each note of the ambient chord
+const AMBIENT_FADE_TIME = 2; // Seconds ambient chords take to fade between themes
+const SOUND_SMOOTHING = 0.05; // Time constant (seconds) the engine and wind follow their targets with
+
+// Ambient chords by the theme's groundStyle: note frequencies, waveform and how bright they sound
+const AMBIENT_BEDS = {
+    grass: { notes: [110, 164.81, 220, 277.18], wave: 'sine', brightness: 900 },
+    ice: { notes: [130.81, 196, 246.94, 329.63], wave: 'triangle', brightness: 1800 },
+    desert: { notes: [98, 146.83, 196, 233.08], wave: 'sawtooth', brightness: 450 },
+    halloween: { notes: [73.42, 77.78, 110, 155.56], wave: 'sawtooth', brightness: 400 },
+    clouds: { notes: [174.61, 220, 261.63, 349.23], wave: 'sine', brightness: 1200 }
+};
+// =================
+
+let audioContext = null; // Created on the first click or key press
+let masterGain = null;
+let sfxGain = null; // Engine, wind and stingers
+let musicGain = null; // Ambient chords
+let noiseBuffer = null; // White noise shared by wind, whooshes and crashes
+let engineSound = null; // { oscillators, filter, gain }
+let windSound = null; // { filter, gain }
+let ambientBed = null; // { style, oscillators, gain } of the chord playing now
+let engineThrottle = 0; // Last throttle input (-1 to 1)
+let audioPaused = false;
+
+// Wait for the first interaction to start the sound
+function initAudio() {
+    const start = () => {
+        document.removeEventListener('pointerdown', start);
+        document.removeEventListener('keydown', start);
+        startAudio();
+    };
+    document.addEventListener('pointerdown', start);
+    document.addEventListener('keydown', start);
+}
+
+// Build the mixer and start the engine, wind and ambient chord (silent until a run starts)
+function startAudio() {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass || audioContext) return;
+
+    audioContext = new AudioContextClass();
+    masterGain = audioContext.createGain();
+    masterGain.connect(audioContext.destination);
+    sfxGain = audioContext.createGain();
+    sfxGain.connect(masterGain);
+    musicGain = audioContext.createGain();
+    musicGain.connect(masterGain);
+    applyAudioVolumes();
+
+    noiseBuffer = createNoiseBuffer();
+    engineSound = createEngineSound();
+    windSound = createWindSound();
+
+    // Before the levels have loaded the chord starts with the first scene theme instead
+    const level = getCurrentLevel();
+    if (level) setAmbientTheme(level.theme);
+}
+
+// Set the mixer from the volume settings (called when they change)
+function applyAudioVolumes() {
+    if (!audioContext) return;
+
+    masterGain.gain.value = getSetting('masterVolume');
+    sfxGain.gain.value = getSetting('sfxVolume');
+    musicGain.gain.value = getSetting('musicVolume');
+}
+
+// Remember the throttle input of the last step for the engine pitch
+function setAudioThrottle(throttle) {
+    engineThrottle = throttle;
+}
+
+// Follow the flight with the engine and wind, and go quiet while paused (called every frame)
+function updateAudio() {
+    if (!audioContext) return;
+
+    // Pausing stops every sound where it is
+    if (gamePaused !== audioPaused) {
+        audioPaused = gamePaused;
+        if (audioPaused) {
+            audioContext.suspend();
+        } else {
+            audioContext.resume();
+        }
+    }
+
+    const flying = gameStarted && !gameOver && gameState;
+    const now = audioContext.currentTime;
+    if (!flying) {
+        engineSound.gain.gain.setTargetAtTime(0, now, SOUND_SMOOTHING);
+        windSound.gain.gain.setTargetAtTime(0, now, SOUND_SMOOTHING);
+        return;
+    }
+
+    // Speed within the aircraft's range (0-1), and how hard the engine is working (0-1)
+    const aircraft = gameState.aircraft;
+    const speed = Math.min(1, Math.max(0, (gameState.speed - aircraft.minSpeed) / (aircraft.maxSpeed - aircraft.minSpeed)));
+    const power = gameState.flightModel === 'arcade' ? gameState.enginePower : (engineThrottle + 1) / 2;
+
+    const pitch = ENGINE_BASE_PITCH + speed * ENGINE_PITCH_RANGE + power * ENGINE_THROTTLE_PITCH;
+    engineSound.oscillators.forEach((oscillator, index) => {
+        oscillator.frequency.setTargetAtTime(pitch / (index + 1), now, SOUND_SMOOTHING);
+    });
+    engineSound.filter.frequency.setTargetAtTime(300 + power * 900, now, SOUND_SMOOTHING);
+    engineSound.gain.gain.setTargetAtTime(ENGINE_VOLUME + power * ENGINE_THROTTLE_VOLUME, now, SOUND_SMOOTHING);
+
+    windSound.filter.frequency.setTargetAtTime(400 + speed * 1200, now, SOUND_SMOOTHING);
+    windSound.gain.gain.setTargetAtTime(speed * speed * WIND_VOLUME, now, SOUND_SMOOTHING);
+}
+
+// Whoosh past a pillar, louder the closer it was (gap in metres)
+function playWhoosh(gap) {
+    if (!audioContext || gap >= WHOOSH_DISTANCE) return;
+
+    const volume = WHOOSH_VOLUME * (1 - Math.max(0, gap) / WHOOSH_DISTANCE);
+    const now = audioContext.currentTime;
+    const filter = audioContext.createBiquadFilter();
+    filter.type = 'bandpass';
+    filter.Q.value = 2;
+    filter.frequency.setValueAtTime(2000, now);
+    filter.frequency.exponentialRampToValueAtTime(300, now + 0.35);
+    playNoise(filter, volume, 0.35);
+}
+
+// Crunch and thud of a crash
+function playCrashSound() {
+    if (!audioContext) return;
+
+    const now = audioContext.currentTime;
+    const filter = audioContext.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.setValueAtTime(3000, now);
+    filter.frequency.exponentialRampToValueAtTime(100, now + 0.8);
+    playNoise(filter, 0.8, 0.8);
+
+    const thud = audioContext.createOscillator();
+    thud.frequency.setValueAtTime(90, now);
+    thud.frequency.exponentialRampToValueAtTime(30, now + 0.5);
+    playEnvelope(thud, 0.7, now, 0.5);
+}
+
+// Rising chime for a bonus ring (checkpoints chime lower)
+function playRingChime(checkpoint) {
+    if (!audioContext) return;
+
+    const notes = checkpoint ? [523.25, 659.25, 783.99] : [880, 1108.73, 1318.51];
+    const now = audioContext.currentTime;
+    notes.forEach((note, index) => playTone(note, 'sine', 0.2, now + index * 0.07, 0.4));
+}
+
+// Short fanfare for finishing a level
+function playLevelCompleteSound() {
+    if (!audioContext) return;
+
+    const notes = [523.25, 659.25, 783.99, 1046.5];
+    const now = audioContext.currentTime;
+    notes.forEach((note, index) => playTone(note, 'triangle', 0.25, now + index * 0.12, index === notes.length - 1 ? 1 : 0.3));
+}
+
+// Fade to the ambient chord of a level theme (nothing changes if it's the same chord)
+function setAmbientTheme(theme) {
+    if (!audioContext) return;
+
+    const style = AMBIENT_BEDS[theme.groundStyle] ? theme.groundStyle : 'grass';
+    if (ambientBed && ambientBed.style === style) return;
+
+    const now = audioContext.currentTime;
+    if (ambientBed) {
+        const old = ambientBed;
+        old.gain.gain.setTargetAtTime(0, now, AMBIENT_FADE_TIME / 3);
+        old.oscillators.forEach(oscillator => oscillator.stop(now + AMBIENT_FADE_TIME));
+    }
+
+    const bed = AMBIENT_BEDS[style];
+    const gain = audioContext.createGain();
+    gain.gain.value = 0;
+    gain.gain.setTargetAtTime(AMBIENT_VOLUME, now, AMBIENT_FADE_TIME / 3);
+    const filter = audioContext.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.value = bed.brightness;
+    filter.connect(gain);
+    gain.connect(musicGain);
+
+    // Each note is slightly detuned and swells slowly on its own, so the chord drifts instead of droning
+    const oscillators = [];
+    bed.notes.forEach((note, index) => {
+        const oscillator = audioContext.createOscillator();
+        oscillator.type = bed.wave;
+        oscillator.frequency.value = note;
+        oscillator.detune.value = (index % 2 ? 1 : -1) * 6;
+
+        const noteGain = audioContext.createGain();
+        noteGain.gain.value = 0.7;
+        const swell = audioContext.createOscillator();
+        swell.frequency.value = 0.05 + index * 0.03;
+        const swellDepth = audioContext.createGain();
+        swellDepth.gain.value = 0.3;
+        swell.connect(swellDepth);
+        swellDepth.connect(noteGain.gain);
+
+        oscillator.connect(noteGain);
+        noteGain.connect(filter);
+        oscillator.start(now);
+        swell.start(now);
+        oscillators.push(oscillator, swell);
+    });
+
+    ambientBed = { style: style, oscillators: oscillators, gain: gain };
+}
+
+// Two detuned oscillators an octave apart through a low-pass filter
+function createEngineSound() {
+    const gain = audioContext.createGain();
+    gain.gain.value = 0;
+    gain.connect(sfxGain);
+    const filter = audioContext.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.connect(gain);
+
+    const oscillators = ['sawtooth', 'square'].map((type, index) => {
+        const oscillator = audioContext.createOscillator();
+        oscillator.type = type;
+        oscillator.frequency.value = ENGINE_BASE_PITCH / (index + 1);
+        oscillator.detune.value = index * 7;
+        oscillator.connect(filter);
+        oscillator.start();
+        return oscillator;
+    });
+
+    return { oscillators: oscillators, filter: filter, gain: gain };
+}
+
+// Looping noise through a band-pass filter that opens up with speed
+function createWindSound() {
+    const gain = audioContext.createGain();
+    gain.gain.value = 0;
+    gain.connect(sfxGain);
+    const filter = audioContext.createBiquadFilter();
+    filter.type = 'bandpass';
+    filter.Q.value = 0.8;
+    filter.connect(gain);
+
+    const source = audioContext.createBufferSource();
+    source.buffer = noiseBuffer;
+    source.loop = true;
+    source.connect(filter);
+    source.start();
+
+    return { filter: filter, gain: gain };
+}
+
+// Two seconds of white noise
+function createNoiseBuffer() {
+    const buffer = audioContext.createBuffer(1, audioContext.sampleRate * 2, audioContext.sampleRate);
+    const data = buffer.getChannelData(0);
+    for (let i = 0; i < data.length; i++) {
+        data[i] = Math.random() * 2 - 1;
+    }
+    return buffer;
+}
+
+// Play a burst of noise through a filter, fading out over duration seconds
+function playNoise(filter, volume, duration) {
+    const source = audioContext.createBufferSource();
+    source.buffer = noiseBuffer;
+    source.connect(filter);
+    playEnvelope(source, volume, audioContext.currentTime, duration, filter);
+}
+
+// Play a note that fades out over duration seconds
+function playTone(frequency, type, volume, start, duration) {
+    const oscillator = audioContext.createOscillator();
+    oscillator.type = type;
+    oscillator.frequency.value = frequency;
+    playEnvelope(oscillator, volume, start, duration);
+}
+
+// Start a source (through node if given) with a quick attack and exponential fade, and stop it afterwards
+function playEnvelope(source, volume, start, duration, node = source) {
+    const gain = audioContext.createGain();
+    gain.gain.setValueAtTime(0.0001, start);
+    gain.gain.exponentialRampToValueAtTime(volume, start + 0.01);
+    gain.gain.exponentialRampToValueAtTime(0.0001, start + duration);
+    node.connect(gain);
+    gain.connect(sfxGain);
+    source.start(start);
+    source.stop(start + duration);
+}
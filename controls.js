@@ -0,0 +1,235 @@
+// Controls - maps physical keys to game actions, with bindings saved in the profile
+// Keys are matched by KeyboardEvent.code (their position), so WASD stays WASD-shaped on any layout
+
+// Every action a key can be bound to, in the order shown in the controls panel
+const INPUT_ACTIONS = [
+    { id: 'throttleUp', label: 'Increase Speed' },
+    { id: 'throttleDown', label: 'Decrease Speed' },
+    { id: 'steerRight', label: 'Steer Right' },
+    { id: 'steerLeft', label: 'Steer Left' },
+    { id: 'toggleView', label: 'Change View' },
+    { id: 'pitchDown', label: 'Pitch Down' },
+    { id: 'pitchUp', label: 'Pitch Up' },
+    { id: 'cameraLeft', label: 'Orbit Camera Left' },
+    { id: 'cameraRight', label: 'Orbit Camera Right' },
+    { id: 'pause', label: 'Pause' }
+];
+
+// Actions that fire once per key press rather than while held
+const PRESS_ACTIONS = ['toggleView', 'pause'];
+
+const DEFAULT_KEY_BINDINGS = {
+    throttleUp: ['KeyW'],
+    throttleDown: ['KeyS'],
+    steerRight: ['KeyD'],
+    steerLeft: ['KeyA'],
+    toggleView: ['KeyC'],
+    pitchDown: ['ArrowUp'],
+    pitchUp: ['ArrowDown'],
+    cameraLeft: ['ArrowLeft'],
+    cameraRight: ['ArrowRight'],
+    pause: ['Escape', 'KeyP']
+};
+
+// Player two only flies in split-screen races (menus, pause and the camera stay on player one's keys)
+const PLAYER_TWO_ACTIONS = ['throttleUp', 'throttleDown', 'steerRight', 'steerLeft', 'pitchDown', 'pitchUp'];
+
+const DEFAULT_PLAYER_TWO_KEY_BINDINGS = {
+    throttleUp: ['KeyI'],
+    throttleDown: ['KeyK'],
+    steerRight: ['KeyL'],
+    steerLeft: ['KeyJ'],
+    pitchDown: ['KeyO'],
+    pitchUp: ['KeyU']
+};
+
+// Key labels for layouts the browser can't tell us about (codes not listed show as on QWERTY)
+const KEYBOARD_LAYOUT_LABELS = {
+    qwerty: {},
+    azerty: { KeyQ: 'A', KeyW: 'Z', KeyA: 'Q', KeyZ: 'W', Semicolon: 'M', KeyM: ',' }
+};
+
+const SPECIAL_KEY_LABELS = {
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    Space: 'Space',
+    Escape: 'Esc',
+    ShiftLeft: 'L Shift',
+    ShiftRight: 'R Shift',
+    ControlLeft: 'L Ctrl',
+    ControlRight: 'R Ctrl'
+};
+
+let heldKeys = {}; // Key code -> true while held
+let browserLayoutMap = null; // Key code -> character, when the browser supports the Keyboard API
+let rebindingAction = null; // Action waiting for a key on the settings screen
+let rebindingPlayer = 1; // Player whose key that is
+let onRebindComplete = null;
+
+// Ask the browser for the real keyboard layout (Chromium only), used for key labels
+function detectKeyboardLayout(onDetected) {
+    if (!navigator.keyboard || !navigator.keyboard.getLayoutMap) return;
+
+    navigator.keyboard.getLayoutMap().then(layoutMap => {
+        browserLayoutMap = layoutMap;
+        if (onDetected) onDetected();
+    }).catch(error => {
+        console.error('Error reading keyboard layout:', error);
+    });
+}
+
+// Current bindings of a player (1 or 2), with defaults for any action the profile doesn't mention
+function getKeyBindings(player = 1) {
+    return player === 2 ?
+        Object.assign({}, DEFAULT_PLAYER_TWO_KEY_BINDINGS, getSetting('playerTwoKeyBindings') || {}) :
+        Object.assign({}, DEFAULT_KEY_BINDINGS, getSetting('keyBindings') || {});
+}
+
+// Bind a key to one of a player's actions, taking it away from that player's other actions
+function bindKey(actionId, code, player = 1) {
+    const bindings = getKeyBindings(player);
+    Object.keys(bindings).forEach(id => {
+        bindings[id] = bindings[id].filter(boundCode => boundCode !== code);
+    });
+    bindings[actionId] = [code];
+    setSetting(player === 2 ? 'playerTwoKeyBindings' : 'keyBindings', bindings);
+}
+
+// Go back to the default bindings for both players
+function resetKeyBindings() {
+    setSetting('keyBindings', null);
+    setSetting('playerTwoKeyBindings', null);
+}
+
+// Is any key bound to the player's action held down?
+function isActionHeld(actionId, player = 1) {
+    const codes = getKeyBindings(player)[actionId] || [];
+    return codes.some(code => heldKeys[code]);
+}
+
+// -1, 0 or 1 from a pair of a player's opposite actions
+function getActionAxis(negativeAction, positiveAction, player = 1) {
+    return (isActionHeld(positiveAction, player) ? 1 : 0) - (isActionHeld(negativeAction, player) ? 1 : 0);
+}
+
+// Track a key press, returns the press action it triggers (or null)
+function handleKeyDown(event) {
+    // Waiting for a new binding on the settings screen
+    if (rebindingAction) {
+        event.preventDefault();
+        // Escape cancels, unless it's being bound to pause
+        if (event.code !== 'Escape' || rebindingAction === 'pause') {
+            bindKey(rebindingAction, event.code, rebindingPlayer);
+        }
+        rebindingAction = null;
+        if (onRebindComplete) onRebindComplete();
+        return null;
+    }
+
+    heldKeys[event.code] = true;
+    if (event.repeat) return null;
+
+    const bindings = getKeyBindings();
+    return PRESS_ACTIONS.find(actionId => (bindings[actionId] || []).includes(event.code)) || null;
+}
+
+// Track a key release
+function handleKeyUp(event) {
+    heldKeys[event.code] = false;
+}
+
+// Keys typed into a text box or list (seed, room, name, the editor's panel) aren't game controls
+function isTypingInField(event) {
+    const tag = event.target && event.target.tagName;
+    return tag === 'INPUT' || tag === 'SELECT' || tag === 'TEXTAREA';
+}
+
+// Forget held keys (the window lost focus, so key-ups won't arrive)
+function releaseAllKeys() {
+    heldKeys = {};
+}
+
+// Wait for the next key press to become the binding of a player's action
+function startRebinding(actionId, onComplete, player = 1) {
+    rebindingAction = actionId;
+    rebindingPlayer = player;
+    onRebindComplete = onComplete;
+}
+
+// Readable name of a key on the player's layout
+function getKeyLabel(code) {
+    if (SPECIAL_KEY_LABELS[code]) return SPECIAL_KEY_LABELS[code];
+
+    const layout = getSetting('keyboardLayout');
+    if (layout === 'auto' && browserLayoutMap && browserLayoutMap.get(code)) {
+        return browserLayoutMap.get(code).toUpperCase();
+    }
+
+    const layoutLabels = KEYBOARD_LAYOUT_LABELS[layout] || {};
+    if (layoutLabels[code]) return layoutLabels[code];
+
+    // KeyW -> W, Digit1 -> 1
+    return code.replace(/^Key/, '').replace(/^Digit/, '');
+}
+
+// Labels of every key bound to a player's action
+function getActionKeyLabel(actionId, player = 1) {
+    const codes = getKeyBindings(player)[actionId] || [];
+    return codes.length ? codes.map(getKeyLabel).join(' / ') : 'Unbound';
+}
+
+// Fill the on-screen controls panel from the current bindings
+function renderControlsPanel() {
+    const panel = document.getElementById('controls-info');
+    panel.innerHTML = '<h3>Controls</h3>';
+
+    INPUT_ACTIONS.forEach(action => {
+        const line = document.createElement('p');
+        const key = document.createElement('strong');
+        key.textContent = getActionKeyLabel(action.id);
+        line.appendChild(key);
+        line.appendChild(document.createTextNode(' - ' + action.label));
+        panel.appendChild(line);
+    });
+}
+
+// Build the key binding lists of both players on the settings screen
+function renderBindingSettings() {
+    renderBindingList('key-bindings', INPUT_ACTIONS, 1);
+    renderBindingList('player-two-key-bindings', INPUT_ACTIONS.filter(action => PLAYER_TWO_ACTIONS.includes(action.id)), 2);
+}
+
+// One player's key binding list
+function renderBindingList(listId, actions, player) {
+    const list = document.getElementById(listId);
+    list.innerHTML = '';
+
+    actions.forEach(action => {
+        const row = document.createElement('div');
+        row.className = 'settings-row';
+
+        const label = document.createElement('span');
+        label.textContent = action.label;
+
+        const button = document.createElement('button');
+        button.className = 'binding-btn';
+        const waiting = rebindingAction === action.id && rebindingPlayer === player;
+        button.textContent = waiting ? 'Press a key...' : getActionKeyLabel(action.id, player);
+        button.addEventListener('click', () => {
+            startRebinding(action.id, onBindingsChanged, player);
+            renderBindingSettings();
+        });
+
+        row.appendChild(label);
+        row.appendChild(button);
+        list.appendChild(row);
+    });
+}
+
+// Redraw everything that shows bindings
+function onBindingsChanged() {
+    renderBindingSettings();
+    renderControlsPanel();
+}
@@ -0,0 +1,1226 @@
+// Game core - the flight simulation, with no DOM, canvas or THREE dependency
+// The browser gets it as the GameCore global; under Node use require('./core.js')
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require('./random.js'), require('./spatial-index.js'));
+    } else {
+        root.GameCore = factory(root, root);
+    }
+})(this, function (Random, Spatial) {
+
+    // Course settings
+    const PILLAR_HEIGHT = 20;
+    const PILLAR_WIDTH = 2;
+    const PILLAR_SPREAD = 80; // Pillars are placed from -40 to 40 on X
+    const GENERATE_AHEAD = 1500; // Pillars exist this far ahead of the plane
+    const DESPAWN_BEHIND = 100; // Pillars this far behind the plane are removed
+    const PILLAR_POINTS = 10; // Score for each pillar passed
+    const BARRIER_X = 42; // Invisible walls, slightly beyond the pillar spawn area
+    const GROUND_LEVEL = 0.5; // Below this the plane has crashed
+
+    // Simulation timing - the game always steps at this fixed rate, whatever the display refresh
+    const SIMULATION_RATE = 60; // Steps per second
+    const FIXED_TIMESTEP = 1 / SIMULATION_RATE; // Seconds per step
+
+    // Flight tuning (all rates are per second)
+    const INITIAL_SPEED = 30; // Forward speed in m/s (kept within the aircraft's speed range)
+    const MIN_ALTITUDE = 1;
+    const MAX_ALTITUDE = 15;
+    const MAX_ATTITUDE = 0.3; // Largest roll/pitch angle in radians
+
+    // Arcade flight model - the plane banks to turn, has momentum and can stall
+    const GRAVITY = 9.81; // m/s per second
+    const MAX_BANK = 0.9; // Largest roll angle in radians
+    const MAX_PITCH = 0.35; // Largest climb/dive angle in radians
+    const TURN_ASSIST = 1.5; // Multiplier on the turn rate of a real banked turn, for snappier handling
+    const MAX_HEADING = 1.2; // Largest turn away from +Z in radians, the course only runs forward
+    const THROTTLE_LEVER_RATE = 0.5; // Engine power (0-1) changed per second of throttle input
+    const SINK_RECOVERY_RATE = 2; // How quickly the sink from a stall fades once flying again (1/s)
+    const STALL_RECOVERY = 1.15; // A stall ends above this multiple of the stall speed
+    const ATTITUDE_RETURN_RATE = 6.3; // How quickly roll/pitch settle back to level (1/s)
+
+    // Handling of the aircraft being flown, each aircraft can override any of these
+    const DEFAULT_AIRCRAFT = {
+        minSpeed: 6, // m/s
+        maxSpeed: 300,
+        acceleration: 36, // m/s gained or lost per second of throttle
+        steerSpeed: 18, // Sideways m/s while steering
+        climbSpeed: 6, // Vertical m/s while pitching
+        attitudeRate: 1.2, // Radians per second the plane rolls/pitches into a turn
+        stallSpeed: 20 // m/s, below this the wings stop holding the plane up (arcade flight model)
+    };
+
+    // Default collision volumes, used until the models have loaded
+    // A hitbox is a list of boxes relative to the object's origin (compound shapes use several)
+    const DEFAULT_PLANE_HITBOX = [
+        { minX: -3, maxX: 3, minY: -0.5, maxY: 0.5, minZ: -1, maxZ: 1 } // Accounting for wings
+    ];
+    const DEFAULT_OBSTACLE_HITBOX = [
+        { minX: -PILLAR_WIDTH / 2, maxX: PILLAR_WIDTH / 2, minY: 0, maxY: PILLAR_HEIGHT, minZ: -PILLAR_WIDTH / 2, maxZ: PILLAR_WIDTH / 2 }
+    ];
+
+    // How a level lays out its pillars (levels can override any of these)
+    // pillarSpacing: metres between rows
+    // minPillarsPerRow / maxPillarsPerRow: each row gets a random count in this range
+    // safeZone: no pillars before this distance
+    // finishClearance: no pillars in the last stretch before the finish
+    const DEFAULT_COURSE = {
+        pillarSpacing: 50,
+        minPillarsPerRow: 1,
+        maxPillarsPerRow: 3,
+        safeZone: 60,
+        finishClearance: 100
+    };
+
+    // Golden ring at the end of the level, distanceFromEnd metres before the level distance
+    const DEFAULT_RING = { x: 0, y: 8, distanceFromEnd: 50 };
+    const RING_INNER_RADIUS = 6; // Fly inside this to finish
+    const RING_OUTER_RADIUS = 8; // Between inner and outer you hit the ring
+    const RING_MISS_DISTANCE = 10; // Flying this far past the ring ends the run
+    const BONUS_RING_POINTS = 50; // Score for flying through one of a level's extra rings
+
+    // Checkpoint rings save the run so a crash can be retried from the last one reached
+    const DEFAULT_LIVES = 3; // Retries from a checkpoint per run
+    const CHECKPOINT_CLEARANCE = 40; // No random pillars or drones this close to a checkpoint, so respawns are fair
+
+    // Hostile drones and missiles (how many depends on the level's hazards option)
+    const DRONE_PATROL_RATE = 0.8; // Radians per second through the side-to-side patrol
+    const DRONE_PATROL_RANGE = 14; // Drones patrol this far either side of their lane's centre
+    const DRONE_MIN_HEIGHT = 3;
+    const DRONE_MAX_HEIGHT = 12;
+    const MISSILE_SPEED = 80; // m/s
+    const MISSILE_TURN_RATE = 0.7; // Radians per second a missile can turn toward the plane
+    const MISSILE_LAUNCH_DISTANCE = 600; // Missiles launch this far ahead of the plane
+    const MISSILE_LIFETIME = 10; // Seconds of fuel
+    const NEAR_MISS_DISTANCE = 4; // Passing a hazard with less than this gap scores a bonus
+    const NEAR_MISS_POINTS = 25; // Before the combo multiplier, for hazards and pillars alike
+    const PILLAR_NEAR_MISS_DISTANCE = 1.5; // Passing a pillar with less than this gap scores a near miss
+
+    // droneChance: chance of a drone in each lane between pillar rows (0-1)
+    // missileInterval: metres flown between missile launches on average (0 for none)
+    const NO_HAZARDS = { droneChance: 0, missileInterval: 0 };
+
+    const DEFAULT_HAZARD_HITBOXES = {
+        drone: [
+            { minX: -2.5, maxX: 2.5, minY: -0.6, maxY: 0.6, minZ: -2, maxZ: 2 }
+        ],
+        missile: [
+            { minX: -0.3, maxX: 0.3, minY: -0.3, maxY: 0.3, minZ: -1.5, maxZ: 1.5 }
+        ]
+    };
+
+    // Pickups scattered among the pillars, collected by flying through them
+    const PICKUP_KINDS = ['coin', 'boost', 'shield', 'slowTime'];
+    const PICKUP_RADIUS = 3; // Flying this close to a pickup's centre collects it
+    const PICKUP_MIN_HEIGHT = 2;
+    const PICKUP_MAX_HEIGHT = 12;
+    const COIN_POINTS = 20; // Before the combo multiplier
+    const BOOST_SPEED = 20; // m/s added by a speed boost (up to the aircraft's top speed)
+    const SHIELD_TIME = 5; // Seconds a shield lets the plane fly through pillars and hazards
+    const SLOW_TIME_TIME = 5; // Seconds the world runs slowed after a slow-time pickup
+    const SLOW_TIME_SCALE = 0.5; // Speed of the simulation while slowed
+
+    // chance: chance of a pickup in each lane a quarter of the way between pillar rows (0-1)
+    // coin, boost, shield, slowTime: relative odds of each kind
+    const DEFAULT_PICKUPS = { chance: 0.5, coin: 7, boost: 1, shield: 1, slowTime: 1 };
+
+    // Skill moves (near misses, coins and extra rings) build a combo that multiplies their points
+    const MAX_COMBO = 4; // The multiplier goes up to 1 + MAX_COMBO
+    const COMBO_DECAY_TIME = 3; // Seconds without a skill move before the combo drops a level
+
+    // Endless mode - there's no finish, and the course gets harder every stage flown
+    const ENDLESS_STAGE_LENGTH = 2000; // Metres per stage
+    const ENDLESS_MAX_DIFFICULTY = 10; // Stages past this are as hard as it
+    const ENDLESS_SPEED_STEP = 4; // m/s the lowest allowed speed rises each stage
+
+    // Input with no controls held
+    const NO_INPUT = { throttle: 0, steer: 0, pitch: 0, speedTarget: null };
+
+    // Create the state for a fresh run of a level
+    // options: { level, levelDistance, seed, flightModel?, aircraft?, hazards?, pickups?, course?, ring?, obstacles?,
+    //            rings?, checkpoints?, lives?, endless?, startZ?, planeHitbox?, obstacleHitbox?, hazardHitboxes? }
+    // flightModel: 'classic' (slides sideways, always flies along +Z) or 'arcade' (banks, turns and can stall)
+    // obstacles: hand-placed pillars [{ x, z }] used instead of random rows
+    // rings: extra rings [{ x, y, z }] worth BONUS_RING_POINTS each, flying past them is allowed
+    // checkpoints: rings [{ x, y, z }] that save the run when flown through, lives is how many retries they give
+    // endless: no finish ring, rows, hazards and the speed floor follow the endless difficulty curve instead
+    // startZ: distance along the course the plane starts at (for test flights from the level editor)
+    function createGameState(options) {
+        const hazards = Object.assign({}, NO_HAZARDS, options.hazards);
+        const pickups = Object.assign({}, DEFAULT_PICKUPS, options.pickups);
+        const course = Object.assign({}, DEFAULT_COURSE, options.course);
+        const ring = Object.assign({}, DEFAULT_RING, options.ring);
+        const startPosition = { x: 0, y: 5, z: options.startZ || 0 };
+        const endless = !!options.endless;
+        const state = {
+            level: options.level,
+            levelDistance: options.levelDistance,
+            seed: options.seed >>> 0,
+            status: 'running', // 'running', 'crashed' or 'complete'
+            endless: endless,
+            stage: 0, // Endless mode stage reached
+            flightModel: options.flightModel === 'arcade' ? 'arcade' : 'classic',
+            tick: 0,
+            speed: INITIAL_SPEED,
+            enginePower: 0, // Throttle lever (0-1), arcade flight model only
+            stalled: false,
+            score: 0,
+            scoreBreakdown: { pillars: 0, nearMisses: 0, coins: 0, rings: 0 }, // Where the score came from
+            combo: 0, // Skill moves chained, the multiplier is 1 + combo
+            comboTime: 0, // Seconds until the combo drops a level
+            effects: { shield: 0, slowTime: 0 }, // Seconds left on each pickup's effect
+            distance: 0, // Furthest point along the course
+            plane: {
+                position: { ...startPosition },
+                rotation: { x: 0, y: 0, z: 0 }, // Pitch (x, positive dives), heading (y) and roll (z)
+                previousPosition: { ...startPosition }, // Start of the last step, for interpolation
+                previousRotation: { x: 0, y: 0, z: 0 },
+                sinkSpeed: 0 // m/s lost to a stall, arcade flight model only
+            },
+            course: course,
+            pillars: Spatial.createSpatialIndex(course.pillarSpacing), // Pillars near the plane, bucketed by Z
+            nextPillarId: 1,
+            nextRowZ: course.safeZone, // Where the next row of pillars goes
+            lastRowZ: endless ? Infinity : options.levelDistance - course.finishClearance, // No rows from here on
+            placedObstacles: options.obstacles ? options.obstacles.slice().sort((a, b) => a.z - b.z) : null,
+            nextObstacleIndex: 0, // Next hand-placed pillar to add
+            aircraft: null,
+            planeHitbox: null,
+            obstacleHitbox: null,
+            hazardRules: hazards,
+            hazards: [], // Drones and missiles in flight
+            nextHazardId: 1,
+            nextDroneLaneZ: course.safeZone + course.pillarSpacing / 2, // Drones patrol halfway between rows
+            nextMissileZ: Math.max(course.safeZone, startPosition.z) + hazards.missileInterval, // Plane distance for the next launch
+            hazardHitboxes: {},
+            pickupRules: pickups,
+            pickups: [], // Pickups waiting to be collected
+            nextPickupId: 1,
+            nextPickupZ: course.safeZone + course.pillarSpacing / 4,
+            ring: {
+                x: ring.x,
+                y: ring.y,
+                z: endless ? Infinity : options.levelDistance - ring.distanceFromEnd
+            },
+            rings: (options.rings || []).map((bonusRing, index) => ({
+                id: index + 1,
+                x: bonusRing.x,
+                y: bonusRing.y,
+                z: bonusRing.z,
+                passed: false
+            })),
+            checkpoints: (options.checkpoints || []).map((checkpoint, index) => ({
+                id: index + 1,
+                x: checkpoint.x,
+                y: checkpoint.y,
+                z: checkpoint.z,
+                passed: false
+            })),
+            lives: options.lives === undefined ? DEFAULT_LIVES : options.lives,
+            savedCheckpoint: null, // Snapshot taken at the last checkpoint flown through
+            pillarRng: Random.createRng(Random.deriveSeed(options.seed >>> 0, 'pillars', options.level)),
+            // Own stream, so levels with hazards keep the same pillar layout
+            hazardRng: Random.createRng(Random.deriveSeed(options.seed >>> 0, 'hazards', options.level)),
+            pickupRng: Random.createRng(Random.deriveSeed(options.seed >>> 0, 'pickups', options.level))
+        };
+
+        const hazardHitboxes = options.hazardHitboxes || {};
+        setAircraft(state, options.aircraft);
+        state.enginePower = cruisePower(state);
+        setPlaneHitbox(state, options.planeHitbox);
+        setObstacleHitbox(state, options.obstacleHitbox);
+        setHazardHitbox(state, 'drone', hazardHitboxes.drone);
+        setHazardHitbox(state, 'missile', hazardHitboxes.missile);
+
+        // Hand-placed pillars already behind a late start are never added
+        const placed = state.placedObstacles;
+        while (placed && state.nextObstacleIndex < placed.length &&
+            placed[state.nextObstacleIndex].z < startPosition.z - DESPAWN_BEHIND) {
+            state.nextObstacleIndex++;
+        }
+
+        generatePillarsAhead(state);
+        spawnHazards(state);
+        spawnPickups(state);
+        return state;
+    }
+
+    // Fly with an aircraft's handling (missing stats use DEFAULT_AIRCRAFT)
+    function setAircraft(state, stats) {
+        state.aircraft = Object.assign({}, DEFAULT_AIRCRAFT, stats);
+        state.speed = clamp(state.speed, state.aircraft.minSpeed, state.aircraft.maxSpeed);
+    }
+
+    // Use a plane collision volume (boxes relative to the plane's position at rest)
+    function setPlaneHitbox(state, boxes) {
+        state.planeHitbox = boxes && boxes.length ? boxes : DEFAULT_PLANE_HITBOX;
+        state.planeBounds = mergeBoxes(state.planeHitbox);
+    }
+
+    // Use an obstacle collision volume (boxes relative to the pillar's base)
+    function setObstacleHitbox(state, boxes) {
+        state.obstacleHitbox = boxes && boxes.length ? boxes : DEFAULT_OBSTACLE_HITBOX;
+        state.obstacleBounds = mergeBoxes(state.obstacleHitbox);
+    }
+
+    // Use a drone or missile collision volume (boxes relative to its centre, flying toward -Z)
+    function setHazardHitbox(state, kind, boxes) {
+        state.hazardHitboxes[kind] = boxes && boxes.length ? boxes : DEFAULT_HAZARD_HITBOXES[kind];
+    }
+
+    // Generate rows of pillars up to GENERATE_AHEAD in front of the plane
+    // Rows are always made in order, so a seed gives the same course however fast you fly
+    function generatePillarsAhead(state) {
+        if (state.placedObstacles) {
+            return addPlacedPillarsAhead(state);
+        }
+
+        const spawned = [];
+        const limit = Math.min(state.plane.position.z + GENERATE_AHEAD, state.lastRowZ);
+
+        while (state.nextRowZ < limit) {
+            spawned.push(...generatePillarRow(state, state.nextRowZ));
+            state.nextRowZ += state.course.pillarSpacing;
+        }
+        return spawned;
+    }
+
+    // Add the hand-placed pillars up to GENERATE_AHEAD in front of the plane
+    function addPlacedPillarsAhead(state) {
+        const spawned = [];
+        const placed = state.placedObstacles;
+        const limit = state.plane.position.z + GENERATE_AHEAD;
+
+        while (state.nextObstacleIndex < placed.length && placed[state.nextObstacleIndex].z < limit) {
+            const obstacle = placed[state.nextObstacleIndex++];
+            const pillar = { id: state.nextPillarId++, x: obstacle.x, z: obstacle.z, passed: false };
+            state.pillars.insert(pillar);
+            spawned.push(pillar);
+        }
+        return spawned;
+    }
+
+    // Every pillar position a randomly generated course will have, for the level editor
+    // options: as for createGameState
+    function layoutCourse(options) {
+        const state = createGameState(Object.assign({}, options, { obstacles: null }));
+        const layout = state.pillars.all().map(pillar => ({ x: pillar.x, z: pillar.z }));
+
+        while (state.nextRowZ < state.lastRowZ) {
+            generatePillarRow(state, state.nextRowZ).forEach(pillar => layout.push({ x: pillar.x, z: pillar.z }));
+            state.nextRowZ += state.course.pillarSpacing;
+        }
+        return layout;
+    }
+
+    // Generate one row of pillars at the given distance, returns the new pillars
+    function generatePillarRow(state, z) {
+        const row = [];
+
+        // Random number of pillars per row, within the course's range
+        const { minPillarsPerRow, maxPillarsPerRow } = state.endless ? getEndlessRules(state, z) : state.course;
+        const numPillars = minPillarsPerRow + Math.floor(state.pillarRng() * (maxPillarsPerRow - minPillarsPerRow + 1));
+        const cleared = isNearCheckpoint(state, z);
+
+        for (let i = 0; i < numPillars; i++) {
+            // Random X position across the width (drawn even for cleared rows, so later rows don't shift)
+            const x = (state.pillarRng() - 0.5) * PILLAR_SPREAD;
+            if (cleared) continue;
+
+            const pillar = { id: state.nextPillarId++, x: x, z: z, passed: false };
+            state.pillars.insert(pillar);
+            row.push(pillar);
+        }
+
+        return row;
+    }
+
+    // Advance the state in place by one step of dt seconds
+    // input: { throttle, steer, pitch } each from -1 to 1 (steer > 0 is right, pitch > 0 dives)
+    // speedTarget (optional, from a controller's triggers): 0-1 across the aircraft's speed range, eased toward
+    // while throttle is 0, null when the triggers are released
+    // Returns the events that happened during the step
+    function stepGame(state, input, dt) {
+        const plane = state.plane;
+        const events = [];
+
+        // Remember where this step started so rendering can interpolate
+        plane.previousPosition = { ...plane.position };
+        plane.previousRotation = { ...plane.rotation };
+
+        if (state.status !== 'running') return events;
+
+        state.tick++;
+
+        // Slow time slows the whole world, the effects and the combo still run out in real time
+        const worldDt = state.effects.slowTime > 0 ? dt * SLOW_TIME_SCALE : dt;
+        updateTimers(state, dt);
+
+        if (state.flightModel === 'arcade') {
+            flyArcade(state, input, worldDt, events);
+        } else {
+            applyControls(state, input, worldDt);
+
+            // Move plane forward
+            plane.position.z += state.speed * worldDt;
+        }
+        state.distance = Math.max(state.distance, plane.position.z);
+
+        // Endless runs are held above the stage's speed floor and move up a stage every ENDLESS_STAGE_LENGTH
+        if (state.endless) {
+            state.speed = Math.max(state.speed, getEndlessRules(state, state.distance).speedFloor);
+
+            const stage = Math.floor(state.distance / ENDLESS_STAGE_LENGTH);
+            if (stage > state.stage) {
+                state.stage = stage;
+                events.push({ type: 'stage', stage: stage });
+            }
+        }
+
+        // Check which pillars have been passed during this step, scraping past one is a near miss
+        state.pillars.forEachInRange(plane.previousPosition.z, plane.position.z, pillar => {
+            if (!pillar.passed && pillar.z < plane.position.z) {
+                pillar.passed = true;
+                addScore(state, 'pillars', PILLAR_POINTS);
+                const gap = pillarGap(state, pillar);
+                events.push({ type: 'pillarPassed', pillar: pillar, points: PILLAR_POINTS, gap: gap });
+
+                if (gap >= 0 && gap < PILLAR_NEAR_MISS_DISTANCE) {
+                    const points = scoreSkill(state, 'nearMisses', NEAR_MISS_POINTS);
+                    events.push({ type: 'nearMiss', pillar: pillar, points: points, combo: state.combo });
+                }
+            }
+        });
+
+        // Collect the pickups flown through
+        collectPickups(state, events);
+
+        // Fly through the extra rings for points, clipping one is a crash
+        const bonusRingCause = checkBonusRings(state, events);
+        if (bonusRingCause) {
+            return finishRun(state, events, 'crashed', bonusRingCause);
+        }
+
+        // Flying through a checkpoint saves the run, clipping one is a crash
+        const checkpointCause = checkCheckpoints(state, events);
+        if (checkpointCause) {
+            return finishRun(state, events, 'crashed', checkpointCause);
+        }
+
+        // Check collisions
+        const crashCause = checkCollisions(state);
+        if (crashCause) {
+            return finishRun(state, events, 'crashed', crashCause);
+        }
+
+        // Move drones and missiles, they end the run on contact
+        const hazardCause = updateHazards(state, worldDt, events);
+        if (hazardCause) {
+            return finishRun(state, events, 'crashed', hazardCause);
+        }
+
+        // Generate more pillars and hazards ahead
+        generatePillarsAhead(state).forEach(pillar => {
+            events.push({ type: 'pillarSpawned', pillar: pillar });
+        });
+        spawnHazards(state).forEach(hazard => {
+            events.push({ type: 'hazardSpawned', hazard: hazard });
+        });
+        spawnPickups(state).forEach(pickup => {
+            events.push({ type: 'pickupSpawned', pickup: pickup });
+        });
+
+        // Remove pillars and pickups that are far behind the plane
+        state.pillars.removeBefore(plane.position.z - DESPAWN_BEHIND).forEach(pillar => {
+            events.push({ type: 'pillarRemoved', pillar: pillar });
+        });
+        state.pickups = state.pickups.filter(pickup => {
+            if (pickup.z >= plane.position.z - DESPAWN_BEHIND) return true;
+            events.push({ type: 'pickupRemoved', pickup: pickup });
+            return false;
+        });
+
+        // Check the golden ring (endless runs only end in a crash)
+        const ringResult = state.endless ? null : checkRing(state);
+        if (ringResult === 'passed') {
+            return finishRun(state, events, 'complete');
+        } else if (ringResult) {
+            return finishRun(state, events, 'crashed', ringResult);
+        }
+
+        return events;
+    }
+
+    // Add drones to the lanes ahead and launch missiles when due, returns the new hazards
+    function spawnHazards(state) {
+        const spawned = [];
+        const position = state.plane.position;
+
+        // Drones patrol across the lanes between pillar rows, made in order like the rows
+        const laneLimit = Math.min(position.z + GENERATE_AHEAD, state.lastRowZ);
+        while (state.nextDroneLaneZ < laneLimit) {
+            const droneChance = getHazardRules(state, state.nextDroneLaneZ).droneChance;
+            if (droneChance > 0 && state.hazardRng() < droneChance) {
+                const drone = {
+                    x: 0,
+                    y: DRONE_MIN_HEIGHT + state.hazardRng() * (DRONE_MAX_HEIGHT - DRONE_MIN_HEIGHT),
+                    z: state.nextDroneLaneZ,
+                    laneX: (state.hazardRng() - 0.5) * (PILLAR_SPREAD - DRONE_PATROL_RANGE * 2),
+                    phase: state.hazardRng() * Math.PI * 2
+                };
+                if (!isNearCheckpoint(state, drone.z)) {
+                    spawned.push(addHazard(state, 'drone', drone));
+                }
+            }
+            state.nextDroneLaneZ += state.course.pillarSpacing;
+        }
+
+        // Missiles launch from ahead at intervals, but never from beyond the ring
+        const launchZ = position.z + MISSILE_LAUNCH_DISTANCE;
+        const rules = getHazardRules(state, state.distance);
+        if (rules.missileInterval > 0 && state.distance >= state.nextMissileZ && launchZ < state.ring.z) {
+            spawned.push(addHazard(state, 'missile', {
+                x: (state.hazardRng() - 0.5) * PILLAR_SPREAD,
+                y: DRONE_MIN_HEIGHT + state.hazardRng() * (DRONE_MAX_HEIGHT - DRONE_MIN_HEIGHT),
+                z: launchZ,
+                direction: { x: 0, y: 0, z: -1 },
+                age: 0
+            }));
+            state.nextMissileZ += rules.missileInterval * (0.5 + state.hazardRng());
+        }
+
+        // Drones start at their place in the patrol
+        spawned.forEach(hazard => {
+            if (hazard.kind === 'drone') {
+                hazard.x = hazard.laneX + Math.sin(hazard.phase) * DRONE_PATROL_RANGE;
+                hazard.previous.x = hazard.x;
+            }
+        });
+        return spawned;
+    }
+
+    // Drone chance and missile interval at a distance along the course
+    function getHazardRules(state, z) {
+        return state.endless ? getEndlessRules(state, z) : state.hazardRules;
+    }
+
+    // How hard an endless course is at a distance: pillars per row, hazards and the lowest allowed speed
+    // Everything ramps up with the stage until ENDLESS_MAX_DIFFICULTY
+    function getEndlessRules(state, z) {
+        const difficulty = Math.min(Math.floor(z / ENDLESS_STAGE_LENGTH), ENDLESS_MAX_DIFFICULTY);
+        const aircraft = state.aircraft;
+        return {
+            minPillarsPerRow: 1 + Math.floor(difficulty / 4),
+            maxPillarsPerRow: 3 + Math.floor(difficulty / 4),
+            droneChance: 0.04 * difficulty,
+            missileInterval: difficulty < 2 ? 0 : Math.max(3000 - 250 * difficulty, 800),
+            speedFloor: Math.min(aircraft.minSpeed + ENDLESS_SPEED_STEP * difficulty, aircraft.maxSpeed)
+        };
+    }
+
+    // Create a hazard of the given kind
+    function addHazard(state, kind, props) {
+        const hazard = Object.assign({ id: state.nextHazardId++, kind: kind, closeCall: false, nearMissed: false }, props);
+        hazard.previous = { x: hazard.x, y: hazard.y, z: hazard.z }; // For interpolation and swept collision
+        state.hazards.push(hazard);
+        return hazard;
+    }
+
+    // Scatter pickups through the lanes ahead, made in order like the rows, returns the new pickups
+    function spawnPickups(state) {
+        const spawned = [];
+        const rules = state.pickupRules;
+        const limit = Math.min(state.plane.position.z + GENERATE_AHEAD, state.lastRowZ);
+
+        while (state.nextPickupZ < limit) {
+            if (rules.chance > 0 && state.pickupRng() < rules.chance) {
+                const pickup = {
+                    id: state.nextPickupId++,
+                    kind: choosePickupKind(rules, state.pickupRng()),
+                    x: (state.pickupRng() - 0.5) * PILLAR_SPREAD,
+                    y: PICKUP_MIN_HEIGHT + state.pickupRng() * (PICKUP_MAX_HEIGHT - PICKUP_MIN_HEIGHT),
+                    z: state.nextPickupZ
+                };
+                state.pickups.push(pickup);
+                spawned.push(pickup);
+            }
+            state.nextPickupZ += state.course.pillarSpacing;
+        }
+        return spawned;
+    }
+
+    // Pick a kind of pickup by the rules' odds, roll is a random number from 0 to 1
+    function choosePickupKind(rules, roll) {
+        const total = PICKUP_KINDS.reduce((sum, kind) => sum + Math.max(rules[kind] || 0, 0), 0);
+        let remaining = roll * total;
+
+        for (const kind of PICKUP_KINDS) {
+            remaining -= Math.max(rules[kind] || 0, 0);
+            if (remaining < 0) return kind;
+        }
+        return 'coin';
+    }
+
+    // Collect the pickups the plane flew through during this step and apply them
+    function collectPickups(state, events) {
+        state.pickups = state.pickups.filter(pickup => {
+            const distance = crossingDistance(state, pickup);
+            if (distance === null || distance >= PICKUP_RADIUS) return true;
+
+            let points = 0;
+            if (pickup.kind === 'coin') {
+                points = scoreSkill(state, 'coins', COIN_POINTS);
+            } else if (pickup.kind === 'boost') {
+                state.speed = Math.min(state.speed + BOOST_SPEED, state.aircraft.maxSpeed);
+            } else if (pickup.kind === 'shield') {
+                state.effects.shield = SHIELD_TIME;
+            } else {
+                state.effects.slowTime = SLOW_TIME_TIME;
+            }
+            events.push({ type: 'pickupCollected', pickup: pickup, points: points, combo: state.combo });
+            return false;
+        });
+    }
+
+    // Add points that don't depend on skill, like passing pillars
+    function addScore(state, source, points) {
+        state.score += points;
+        state.scoreBreakdown[source] += points;
+    }
+
+    // Add points for a skill move multiplied by the combo, which it then builds, returns the points scored
+    function scoreSkill(state, source, basePoints) {
+        const points = basePoints * (1 + state.combo);
+        addScore(state, source, points);
+        state.combo = Math.min(state.combo + 1, MAX_COMBO);
+        state.comboTime = COMBO_DECAY_TIME;
+        return points;
+    }
+
+    // Run down the pickup effects and let the combo decay a level at a time
+    function updateTimers(state, dt) {
+        const effects = state.effects;
+        effects.shield = Math.max(effects.shield - dt, 0);
+        effects.slowTime = Math.max(effects.slowTime - dt, 0);
+
+        if (state.combo > 0) {
+            state.comboTime -= dt;
+            if (state.comboTime <= 0) {
+                state.combo--;
+                state.comboTime = state.combo > 0 ? COMBO_DECAY_TIME : 0;
+            }
+        }
+    }
+
+    // Move every hazard, score near misses and remove the ones left behind
+    // Returns the crash cause if one hit the plane, or null
+    function updateHazards(state, dt, events) {
+        const plane = state.plane;
+        const planeBoxes = state.planeHitbox.map(box => rotateBox(box, plane.rotation));
+        const shielded = state.effects.shield > 0;
+        let crashCause = null;
+
+        state.hazards = state.hazards.filter(hazard => {
+            hazard.previous = { x: hazard.x, y: hazard.y, z: hazard.z };
+            if (hazard.kind === 'drone') {
+                hazard.phase += DRONE_PATROL_RATE * dt;
+                hazard.x = hazard.laneX + Math.sin(hazard.phase) * DRONE_PATROL_RANGE;
+            } else {
+                steerMissile(hazard, plane.position, dt);
+                hazard.age += dt;
+            }
+
+            // Test in the plane's frame, swept over the step so closing speeds can't skip through
+            // A shielded plane flies straight through, which doesn't count as a near miss
+            const gap = hazardGap(state, hazard, planeBoxes);
+            if (gap < 0 && !shielded) {
+                crashCause = crashCause || hazard.kind;
+                return true;
+            }
+            if (gap < 0) {
+                hazard.closeCall = false;
+                hazard.nearMissed = true;
+            } else if (gap < NEAR_MISS_DISTANCE && !hazard.nearMissed) {
+                hazard.closeCall = true;
+            }
+
+            // Close calls score once the hazard is behind the plane (once per hazard)
+            if (hazard.closeCall && hazard.z < plane.position.z) {
+                hazard.closeCall = false;
+                hazard.nearMissed = true;
+                const points = scoreSkill(state, 'nearMisses', NEAR_MISS_POINTS);
+                events.push({ type: 'nearMiss', hazard: hazard, points: points, combo: state.combo });
+            }
+
+            const expired = hazard.z < plane.position.z - DESPAWN_BEHIND ||
+                (hazard.kind === 'missile' && (hazard.age > MISSILE_LIFETIME || hazard.y < GROUND_LEVEL));
+            if (expired) {
+                events.push({ type: 'hazardRemoved', hazard: hazard });
+                return false;
+            }
+            return true;
+        });
+
+        return crashCause;
+    }
+
+    // Turn a missile toward the target by at most MISSILE_TURN_RATE, then move it
+    function steerMissile(missile, target, dt) {
+        const direction = missile.direction;
+        const toTarget = normalize({ x: target.x - missile.x, y: target.y - missile.y, z: target.z - missile.z });
+        const cosAngle = clamp(dot(direction, toTarget), -1, 1);
+        const angle = Math.acos(cosAngle);
+        const maxTurn = MISSILE_TURN_RATE * dt;
+
+        if (angle <= maxTurn) {
+            missile.direction = toTarget;
+        } else {
+            // Rotate toward the target in the plane containing both directions
+            const side = normalize({
+                x: toTarget.x - direction.x * cosAngle,
+                y: toTarget.y - direction.y * cosAngle,
+                z: toTarget.z - direction.z * cosAngle
+            });
+            if (side) {
+                missile.direction = normalize({
+                    x: direction.x * Math.cos(maxTurn) + side.x * Math.sin(maxTurn),
+                    y: direction.y * Math.cos(maxTurn) + side.y * Math.sin(maxTurn),
+                    z: direction.z * Math.cos(maxTurn) + side.z * Math.sin(maxTurn)
+                });
+            }
+        }
+
+        missile.x += missile.direction.x * MISSILE_SPEED * dt;
+        missile.y += missile.direction.y * MISSILE_SPEED * dt;
+        missile.z += missile.direction.z * MISSILE_SPEED * dt;
+    }
+
+    // Smallest gap between a hazard and the plane during the last step (negative when they touch)
+    function hazardGap(state, hazard, planeBoxes) {
+        const plane = state.plane;
+        const from = {
+            x: hazard.previous.x - plane.previousPosition.x,
+            y: hazard.previous.y - plane.previousPosition.y,
+            z: hazard.previous.z - plane.previousPosition.z
+        };
+        const to = { x: hazard.x - plane.position.x, y: hazard.y - plane.position.y, z: hazard.z - plane.position.z };
+
+        let gap = Infinity;
+        state.hazardHitboxes[hazard.kind].forEach(box => {
+            const swept = mergeBoxes([translateBox(box, from.x, from.y, from.z), translateBox(box, to.x, to.y, to.z)]);
+            planeBoxes.forEach(planeBox => {
+                gap = Math.min(gap, boxGap(planeBox, swept));
+            });
+        });
+        return gap;
+    }
+
+    // Apply throttle, steering and pitch input to the plane
+    function applyControls(state, input, dt) {
+        const position = state.plane.position;
+        const rotation = state.plane.rotation;
+        const aircraft = state.aircraft;
+
+        // Handle speed controls, a trigger's target speed is reached at the same rate as holding the keys
+        if (input.throttle) {
+            state.speed = clamp(state.speed + aircraft.acceleration * input.throttle * dt, aircraft.minSpeed, aircraft.maxSpeed);
+        } else if (hasSpeedTarget(input)) {
+            const targetSpeed = aircraft.minSpeed + (aircraft.maxSpeed - aircraft.minSpeed) * input.speedTarget;
+            state.speed = approach(state.speed, targetSpeed, aircraft.acceleration * dt);
+        }
+
+        // Roll and pitch settle back to level when not steering
+        const levelOff = Math.exp(-ATTITUDE_RETURN_RATE * dt);
+
+        // Handle steering (positive = right, which is -X)
+        if (input.steer) {
+            position.x -= aircraft.steerSpeed * input.steer * dt;
+            rotation.z = clamp(rotation.z + aircraft.attitudeRate * input.steer * dt, -MAX_ATTITUDE, MAX_ATTITUDE);
+        } else {
+            // Return to neutral
+            rotation.z *= levelOff;
+        }
+
+        // Handle pitch (positive = nose down)
+        if (input.pitch) {
+            position.y = clamp(position.y - aircraft.climbSpeed * input.pitch * dt, MIN_ALTITUDE, MAX_ALTITUDE);
+            rotation.x = clamp(rotation.x + aircraft.attitudeRate * input.pitch * dt, -MAX_ATTITUDE, MAX_ATTITUDE);
+        } else {
+            // Return to neutral
+            rotation.x *= levelOff;
+        }
+    }
+
+    // Arcade flight: rolling banks the plane into a turn, speed has momentum and lift needs airspeed
+    function flyArcade(state, input, dt, events) {
+        const aircraft = state.aircraft;
+        const plane = state.plane;
+        const position = plane.position;
+        const rotation = plane.rotation;
+        const levelOff = Math.exp(-ATTITUDE_RETURN_RATE * dt);
+
+        // Throttle moves the engine power lever, the speed follows it with inertia
+        // A trigger's target speed moves the lever toward the power that cruises at that speed
+        if (!input.throttle && hasSpeedTarget(input)) {
+            const targetSpeed = aircraft.minSpeed + (aircraft.maxSpeed - aircraft.minSpeed) * input.speedTarget;
+            const targetPower = Math.pow(targetSpeed / aircraft.maxSpeed, 2);
+            state.enginePower = approach(state.enginePower, targetPower, THROTTLE_LEVER_RATE * dt);
+        } else {
+            state.enginePower = clamp(state.enginePower + THROTTLE_LEVER_RATE * input.throttle * dt, 0, 1);
+        }
+
+        // Roll into a bank while steering (positive = right), level out when released
+        if (input.steer) {
+            rotation.z = clamp(rotation.z + aircraft.attitudeRate * input.steer * dt, -MAX_BANK, MAX_BANK);
+        } else {
+            rotation.z *= levelOff;
+        }
+
+        // Pitch (positive = nose down), a stalled plane drops its nose whatever the input
+        const stalled = state.stalled ?
+            state.speed < aircraft.stallSpeed * STALL_RECOVERY : state.speed < aircraft.stallSpeed;
+        if (stalled) {
+            rotation.x = Math.min(rotation.x + aircraft.attitudeRate * dt, MAX_PITCH);
+        } else if (input.pitch) {
+            rotation.x = clamp(rotation.x + aircraft.attitudeRate * input.pitch * dt, -MAX_PITCH, MAX_PITCH);
+        } else {
+            rotation.x *= levelOff;
+        }
+        if (stalled && !state.stalled) {
+            events.push({ type: 'stall' });
+        }
+        state.stalled = stalled;
+
+        // Banking turns the heading, faster at low speed (a real banked turn, with some assist)
+        // The plane can't turn back down the course, past MAX_HEADING the bank only holds the heading
+        const turnSpeed = Math.max(state.speed, aircraft.stallSpeed);
+        const turn = TURN_ASSIST * GRAVITY * Math.tan(rotation.z) / turnSpeed * dt;
+        rotation.y = clamp(rotation.y - turn, -MAX_HEADING, MAX_HEADING);
+
+        // Thrust against drag that grows with speed (top speed at full power), climbing costs speed
+        const climbAngle = -rotation.x;
+        const thrust = state.enginePower * aircraft.acceleration;
+        const drag = aircraft.acceleration * Math.pow(state.speed / aircraft.maxSpeed, 2);
+        state.speed = clamp(state.speed + (thrust - drag - GRAVITY * Math.sin(climbAngle)) * dt, 0, aircraft.maxSpeed);
+
+        // Lift falls away below the stall speed and gravity takes over
+        const lift = Math.min(Math.pow(state.speed / aircraft.stallSpeed, 2), 1);
+        if (lift < 1) {
+            plane.sinkSpeed += GRAVITY * (1 - lift) * dt;
+        } else {
+            plane.sinkSpeed *= Math.exp(-SINK_RECOVERY_RATE * dt);
+        }
+
+        // Fly along the heading and climb angle (the ceiling still applies, the ground is up to you)
+        const horizontalSpeed = state.speed * Math.cos(climbAngle);
+        position.x += Math.sin(rotation.y) * horizontalSpeed * dt;
+        position.z += Math.cos(rotation.y) * horizontalSpeed * dt;
+        position.y = Math.min(position.y + (state.speed * Math.sin(climbAngle) * lift - plane.sinkSpeed) * dt, MAX_ALTITUDE);
+    }
+
+    function hasSpeedTarget(input) {
+        return typeof input.speedTarget === 'number';
+    }
+
+    // Engine power that holds the current speed in level arcade flight
+    function cruisePower(state) {
+        return Math.pow(state.speed / state.aircraft.maxSpeed, 2);
+    }
+
+    // Check for collisions, returns the crash cause or null
+    function checkCollisions(state) {
+        const position = state.plane.position;
+        const previousPosition = state.plane.previousPosition;
+
+        // Constrain plane within barriers (like hitting a wall) instead of ending the run
+        const bounds = state.planeBounds;
+        let hitBarrier = true;
+        if (position.x + bounds.minX < -BARRIER_X) {
+            position.x = -BARRIER_X - bounds.minX;
+        } else if (position.x + bounds.maxX > BARRIER_X) {
+            position.x = BARRIER_X - bounds.maxX;
+        } else {
+            hitBarrier = false;
+        }
+
+        // A plane that turned into a wall is pushed back along it, down the course
+        if (hitBarrier && state.flightModel === 'arcade') {
+            state.plane.rotation.y = 0;
+        }
+
+        // Plane boxes in world space, following its current roll, pitch and heading
+        // Stretched back over the whole step so fast planes can't skip through a pillar
+        // (classic planes only slide sideways slowly, so only arcade planes are swept along X)
+        const sweepZ = previousPosition.z - position.z;
+        const sweepX = state.flightModel === 'arcade' ? previousPosition.x - position.x : 0;
+        const planeBoxes = state.planeHitbox.map(box => {
+            const worldBox = translateBox(rotateBox(box, state.plane.rotation), position.x, position.y, position.z);
+            worldBox.minZ += Math.min(sweepZ, 0);
+            if (state.flightModel === 'arcade') {
+                worldBox.maxZ += Math.max(sweepZ, 0);
+                worldBox.minX += Math.min(sweepX, 0);
+                worldBox.maxX += Math.max(sweepX, 0);
+            }
+            return worldBox;
+        });
+        const planeBox = mergeBoxes(planeBoxes);
+
+        // Only pillars whose Z range can reach the plane
+        const minPillarZ = planeBox.minZ - state.obstacleBounds.maxZ;
+        const maxPillarZ = planeBox.maxZ - state.obstacleBounds.minZ;
+
+        // A shielded plane flies straight through pillars
+        const hitPillar = state.effects.shield <= 0 && state.pillars.some(minPillarZ, maxPillarZ, pillar => {
+            // Cheap test against the whole obstacle first
+            const obstacleBounds = translateBox(state.obstacleBounds, pillar.x, 0, pillar.z);
+            if (!boxesOverlap(planeBox, obstacleBounds)) return false;
+
+            return state.obstacleHitbox.some(box => {
+                const obstacleBox = translateBox(box, pillar.x, 0, pillar.z);
+                return planeBoxes.some(planePart => boxesOverlap(planePart, obstacleBox));
+            });
+        });
+        if (hitPillar) {
+            return 'pillar';
+        }
+
+        // Check ground collision
+        if (position.y < GROUND_LEVEL) {
+            return 'ground';
+        }
+
+        return null;
+    }
+
+    // 3D box overlap test (AABB) - all three axes must overlap
+    function boxesOverlap(a, b) {
+        return a.maxX >= b.minX && a.minX <= b.maxX &&
+            a.maxY >= b.minY && a.minY <= b.maxY &&
+            a.maxZ >= b.minZ && a.minZ <= b.maxZ;
+    }
+
+    // Largest separation between two boxes along any axis (negative when they overlap)
+    function boxGap(a, b) {
+        return Math.max(
+            b.minX - a.maxX, a.minX - b.maxX,
+            b.minY - a.maxY, a.minY - b.maxY,
+            b.minZ - a.maxZ, a.minZ - b.maxZ
+        );
+    }
+
+    // Gap left between the plane and a pillar it just passed, beside or over it (negative if they touch)
+    function pillarGap(state, pillar) {
+        const position = state.plane.position;
+        const planeBox = translateBox(mergeBoxes(state.planeHitbox.map(box => rotateBox(box, state.plane.rotation))),
+            position.x, position.y, position.z);
+        const obstacleBox = translateBox(state.obstacleBounds, pillar.x, 0, pillar.z);
+
+        return Math.max(
+            obstacleBox.minX - planeBox.maxX, planeBox.minX - obstacleBox.maxX,
+            planeBox.minY - obstacleBox.maxY
+        );
+    }
+
+    // Move a box by an offset
+    function translateBox(box, x, y, z) {
+        return {
+            minX: box.minX + x, maxX: box.maxX + x,
+            minY: box.minY + y, maxY: box.maxY + y,
+            minZ: box.minZ + z, maxZ: box.maxZ + z
+        };
+    }
+
+    // Smallest box containing all the given boxes
+    function mergeBoxes(boxes) {
+        return boxes.reduce((merged, box) => ({
+            minX: Math.min(merged.minX, box.minX), maxX: Math.max(merged.maxX, box.maxX),
+            minY: Math.min(merged.minY, box.minY), maxY: Math.max(merged.maxY, box.maxY),
+            minZ: Math.min(merged.minZ, box.minZ), maxZ: Math.max(merged.maxZ, box.maxZ)
+        }), {
+            minX: Infinity, maxX: -Infinity,
+            minY: Infinity, maxY: -Infinity,
+            minZ: Infinity, maxZ: -Infinity
+        });
+    }
+
+    // Box around a box rotated by Euler angles in YXZ order (roll, then pitch, then heading)
+    // Matches a THREE.Object3D with rotation.order = 'YXZ'; with no heading it's the same as XYZ
+    function rotateBox(box, rotation) {
+        if (!rotation.x && !rotation.y && !rotation.z) return box;
+
+        const cx = Math.cos(rotation.x), sx = Math.sin(rotation.x);
+        const cy = Math.cos(rotation.y), sy = Math.sin(rotation.y);
+        const cz = Math.cos(rotation.z), sz = Math.sin(rotation.z);
+        const corners = [];
+
+        [box.minX, box.maxX].forEach(x => {
+            [box.minY, box.maxY].forEach(y => {
+                [box.minZ, box.maxZ].forEach(z => {
+                    // Rotate around Z, then X, then Y
+                    const x1 = x * cz - y * sz;
+                    const y1 = x * sz + y * cz;
+                    const y2 = y1 * cx - z * sx;
+                    const z2 = y1 * sx + z * cx;
+                    const x3 = x1 * cy + z2 * sy;
+                    const z3 = -x1 * sy + z2 * cy;
+                    corners.push({ minX: x3, maxX: x3, minY: y2, maxY: y2, minZ: z3, maxZ: z3 });
+                });
+            });
+        });
+
+        return mergeBoxes(corners);
+    }
+
+    // Check the golden ring, returns 'passed', a crash cause, or null if not there yet
+    function checkRing(state) {
+        const ring = state.ring;
+        const crossing = ringCrossing(state, ring);
+
+        if (crossing === 'passed' || crossing === 'ring') {
+            return crossing;
+        }
+
+        // Passed the ring without going through it
+        if (state.plane.position.z > ring.z + RING_MISS_DISTANCE) {
+            return 'missedRing';
+        }
+
+        return null;
+    }
+
+    // Score the extra rings flown through this step, returns 'ring' if the plane clipped one
+    function checkBonusRings(state, events) {
+        for (const bonusRing of state.rings) {
+            if (bonusRing.passed) continue;
+
+            const crossing = ringCrossing(state, bonusRing);
+            if (crossing === 'passed') {
+                bonusRing.passed = true;
+                const points = scoreSkill(state, 'rings', BONUS_RING_POINTS);
+                events.push({ type: 'ringPassed', ring: bonusRing, points: points, combo: state.combo });
+            } else if (crossing === 'ring') {
+                return 'ring';
+            }
+        }
+        return null;
+    }
+
+    // Save the run at checkpoints flown through this step, returns 'ring' if the plane clipped one
+    function checkCheckpoints(state, events) {
+        for (const checkpoint of state.checkpoints) {
+            if (checkpoint.passed) continue;
+
+            const crossing = ringCrossing(state, checkpoint);
+            if (crossing === 'passed') {
+                checkpoint.passed = true;
+                saveCheckpoint(state, checkpoint);
+                events.push({ type: 'checkpoint', checkpoint: checkpoint, lives: state.lives });
+            } else if (crossing === 'ring') {
+                return 'ring';
+            }
+        }
+        return null;
+    }
+
+    // True if z is within CHECKPOINT_CLEARANCE of a checkpoint
+    function isNearCheckpoint(state, z) {
+        return state.checkpoints.some(checkpoint => Math.abs(checkpoint.z - z) < CHECKPOINT_CLEARANCE);
+    }
+
+    // Snapshot everything a respawn at this checkpoint needs to carry on exactly from here
+    function saveCheckpoint(state, checkpoint) {
+        state.savedCheckpoint = {
+            checkpointId: checkpoint.id,
+            score: state.score,
+            scoreBreakdown: { ...state.scoreBreakdown },
+            combo: state.combo,
+            comboTime: state.comboTime,
+            effects: { ...state.effects },
+            distance: state.distance,
+            speed: state.speed,
+            enginePower: state.enginePower,
+            pillars: state.pillars.all().map(pillar => ({ ...pillar })),
+            nextPillarId: state.nextPillarId,
+            nextRowZ: state.nextRowZ,
+            nextObstacleIndex: state.nextObstacleIndex,
+            pillarRngState: state.pillarRng.getState(),
+            hazards: state.hazards.map(copyHazard),
+            nextHazardId: state.nextHazardId,
+            nextDroneLaneZ: state.nextDroneLaneZ,
+            nextMissileZ: state.nextMissileZ,
+            hazardRngState: state.hazardRng.getState(),
+            pickups: state.pickups.map(pickup => ({ ...pickup })),
+            nextPickupId: state.nextPickupId,
+            nextPickupZ: state.nextPickupZ,
+            pickupRngState: state.pickupRng.getState(),
+            ringsPassed: state.rings.map(bonusRing => bonusRing.passed),
+            checkpointsPassed: state.checkpoints.map(saved => saved.passed)
+        };
+    }
+
+    function copyHazard(hazard) {
+        const copy = { ...hazard, previous: { ...hazard.previous } };
+        if (hazard.direction) copy.direction = { ...hazard.direction };
+        return copy;
+    }
+
+    // Can a crashed run carry on from a checkpoint?
+    function canRespawn(state) {
+        return state.status === 'crashed' && !!state.savedCheckpoint && state.lives > 0;
+    }
+
+    // Carry a crashed run on from its last checkpoint, using up a life
+    // Pillars and hazards are replaced, so anything drawing them must redraw; returns false if it can't respawn
+    function respawnAtCheckpoint(state) {
+        if (!canRespawn(state)) return false;
+
+        const saved = state.savedCheckpoint;
+        const checkpoint = state.checkpoints.find(candidate => candidate.id === saved.checkpointId);
+
+        state.lives--;
+        state.status = 'running';
+        state.score = saved.score;
+        state.scoreBreakdown = { ...saved.scoreBreakdown };
+        state.combo = saved.combo;
+        state.comboTime = saved.comboTime;
+        state.effects = { ...saved.effects };
+        state.distance = saved.distance;
+        state.speed = saved.speed;
+        state.enginePower = saved.enginePower;
+        state.stalled = false;
+
+        // Level flight through the middle of the checkpoint
+        const plane = state.plane;
+        plane.position = { x: checkpoint.x, y: checkpoint.y, z: checkpoint.z };
+        plane.rotation = { x: 0, y: 0, z: 0 };
+        plane.previousPosition = { ...plane.position };
+        plane.previousRotation = { ...plane.rotation };
+        plane.sinkSpeed = 0;
+
+        // The course as it was (copied again, so the same checkpoint can be retried more than once)
+        state.pillars = Spatial.createSpatialIndex(state.course.pillarSpacing);
+        saved.pillars.forEach(pillar => state.pillars.insert({ ...pillar }));
+        state.nextPillarId = saved.nextPillarId;
+        state.nextRowZ = saved.nextRowZ;
+        state.nextObstacleIndex = saved.nextObstacleIndex;
+        state.pillarRng.setState(saved.pillarRngState);
+
+        state.hazards = saved.hazards.map(copyHazard);
+        state.nextHazardId = saved.nextHazardId;
+        state.nextDroneLaneZ = saved.nextDroneLaneZ;
+        state.nextMissileZ = saved.nextMissileZ;
+        state.hazardRng.setState(saved.hazardRngState);
+
+        state.pickups = saved.pickups.map(pickup => ({ ...pickup }));
+        state.nextPickupId = saved.nextPickupId;
+        state.nextPickupZ = saved.nextPickupZ;
+        state.pickupRng.setState(saved.pickupRngState);
+
+        state.rings.forEach((bonusRing, index) => {
+            bonusRing.passed = saved.ringsPassed[index];
+        });
+        state.checkpoints.forEach((other, index) => {
+            other.passed = saved.checkpointsPassed[index];
+        });
+        return true;
+    }
+
+    // How the plane crossed a ring's plane during this step: 'passed' through the middle, hit the 'ring',
+    // 'outside' it, or null if it didn't cross
+    function ringCrossing(state, ring) {
+        const distanceFromCenter = crossingDistance(state, ring);
+        if (distanceFromCenter === null) return null;
+
+        if (distanceFromCenter <= RING_INNER_RADIUS) {
+            // Passed through the inner green circle
+            return 'passed';
+        } else if (distanceFromCenter < RING_OUTER_RADIUS) {
+            // Hit the outer ring
+            return 'ring';
+        }
+        return 'outside';
+    }
+
+    // How far from a point the plane was as it crossed the point's Z during this step (either way),
+    // or null if it didn't
+    function crossingDistance(state, point) {
+        const position = state.plane.position;
+        const previousPosition = state.plane.previousPosition;
+        const forward = previousPosition.z < point.z && position.z >= point.z;
+        const backward = previousPosition.z >= point.z && position.z < point.z;
+        if (!forward && !backward) return null;
+
+        // Where the plane was when it crossed
+        const t = (point.z - previousPosition.z) / (position.z - previousPosition.z);
+        const crossX = previousPosition.x + (position.x - previousPosition.x) * t;
+        const crossY = previousPosition.y + (position.y - previousPosition.y) * t;
+        return Math.hypot(crossX - point.x, crossY - point.y);
+    }
+
+    // End the run and report it
+    function finishRun(state, events, status, cause) {
+        state.status = status;
+        if (status === 'complete') {
+            events.push({ type: 'levelComplete', score: state.score, distance: state.distance });
+        } else {
+            events.push({ type: 'crash', cause: cause, score: state.score, distance: state.distance });
+        }
+        return events;
+    }
+
+    function clamp(value, min, max) {
+        return Math.min(Math.max(value, min), max);
+    }
+
+    // Move a value toward a target by at most step
+    function approach(value, target, step) {
+        return value < target ? Math.min(value + step, target) : Math.max(value - step, target);
+    }
+
+    function dot(a, b) {
+        return a.x * b.x + a.y * b.y + a.z * b.z;
+    }
+
+    // Unit vector in the same direction, or null for a zero vector
+    function normalize(v) {
+        const length = Math.hypot(v.x, v.y, v.z);
+        return length > 1e-9 ? { x: v.x / length, y: v.y / length, z: v.z / length } : null;
+    }
+
+    return {
+        PILLAR_HEIGHT,
+        PILLAR_WIDTH,
+        BARRIER_X,
+        SIMULATION_RATE,
+        FIXED_TIMESTEP,
+        INITIAL_SPEED,
+        DEFAULT_AIRCRAFT,
+        RING_INNER_RADIUS,
+        RING_OUTER_RADIUS,
+        BONUS_RING_POINTS,
+        DEFAULT_LIVES,
+        ENDLESS_STAGE_LENGTH,
+        PICKUP_KINDS,
+        PICKUP_RADIUS,
+        DEFAULT_PICKUPS,
+        MAX_COMBO,
+        NO_INPUT,
+        NO_HAZARDS,
+        DEFAULT_COURSE,
+        DEFAULT_RING,
+        DEFAULT_PLANE_HITBOX,
+        DEFAULT_OBSTACLE_HITBOX,
+        DEFAULT_HAZARD_HITBOXES,
+        createGameState,
+        setAircraft,
+        setPlaneHitbox,
+        setObstacleHitbox,
+        setHazardHitbox,
+        layoutCourse,
+        stepGame,
+        canRespawn,
+        respawnAtCheckpoint,
+        checkCollisions,
+        checkRing
+    };
+});
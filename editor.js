@@ -0,0 +1,718 @@
+// Level editor - lay out a course by hand, test fly it and save it in the level file format (see levels.js)
+// Edits a copy of a level whose pillars are all hand-placed, drawn with the game's own renderers
+
+// ===== EDITOR SETTINGS =====
+const EDITOR_MOVE_SPEED = 150; // Metres per second the camera moves with the movement keys
+const EDITOR_LOOK_RATE = 0.005; // Radians per pixel of right-drag in the free-fly camera
+const EDITOR_MIN_HEIGHT = 30; // Top-down camera zoom range (metres above the ground)
+const EDITOR_MAX_HEIGHT = 800;
+const EDITOR_PICK_RADIUS = 3; // Clicks this close to a pillar pick it
+const EDITOR_NEW_RING_HEIGHT = 8; // Rings are placed at this height, change it with the selection's height box
+const EDITOR_FINISH_MARGIN = 100; // Test flights start at least this far before the finish ring
+// ===========================
+
+let editorOpen = false;
+let editorLevel = null; // Level being edited, kept for the session
+let editorPillars = []; // Hand-placed pillars { id, x, z }, drawn by pillar-renderer.js
+let editorNextPillarId = 1;
+let editorRingObjects = new Map(); // Extra or checkpoint ring -> drawn ring
+let editorFinishObject = null;
+let editorSelectionMarker = null;
+let editorTool = 'select'; // 'select', 'pillar', 'ring', 'checkpoint', 'finish' or 'erase'
+let editorView = 'top'; // 'top' looks straight down, 'free' flies around the course
+let editorCamera = null;
+let editorFocus = { x: 0, z: 150 }; // Point the top-down camera looks down on
+let editorHeight = 200; // Top-down camera height
+let editorFree = { x: 0, y: 40, z: -40, yaw: 0, pitch: -0.4 }; // Free-fly camera, yaw 0 looks along +Z
+let editorSelection = null; // { kind: 'pillar', 'ring', 'checkpoint' or 'finish', item }
+let editorDragging = false;
+let editorLookFrom = null; // Pointer position while right-dragging the camera
+let editorKeys = new Set(); // Movement keys held
+
+const editorRaycaster = new THREE.Raycaster();
+const editorPointer = new THREE.Vector2();
+const editorGroundPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+const editorGroundPoint = new THREE.Vector3();
+const editorSegmentStart = new THREE.Vector3();
+const editorSegmentEnd = new THREE.Vector3();
+
+// Hook up the editor panel and canvas (called once from init)
+function initEditor() {
+    editorCamera = new THREE.PerspectiveCamera(60, window.innerWidth / window.innerHeight, 0.1, 25000);
+    window.addEventListener('resize', () => {
+        editorCamera.aspect = window.innerWidth / window.innerHeight;
+        editorCamera.updateProjectionMatrix();
+    });
+
+    const canvas = renderer.domElement;
+    canvas.addEventListener('pointerdown', onEditorPointerDown);
+    canvas.addEventListener('pointermove', onEditorPointerMove);
+    canvas.addEventListener('pointerup', onEditorPointerUp);
+    canvas.addEventListener('wheel', onEditorWheel, { passive: false });
+    canvas.addEventListener('contextmenu', event => {
+        if (editorOpen) event.preventDefault();
+    });
+
+    document.getElementById('editor-btn').addEventListener('click', openEditor);
+    document.getElementById('editor-exit-btn').addEventListener('click', closeEditor);
+    document.getElementById('editor-view-btn').addEventListener('click', toggleEditorView);
+    document.getElementById('editor-test-btn').addEventListener('click', testFlyFromHere);
+    document.getElementById('editor-clear-btn').addEventListener('click', clearEditorCourse);
+    document.getElementById('editor-export-btn').addEventListener('click', exportEditorLevel);
+    document.getElementById('editor-import-btn').addEventListener('click', () => {
+        document.getElementById('editor-import-input').click();
+    });
+    document.getElementById('editor-import-input').addEventListener('change', onEditorFileSelected);
+
+    document.querySelectorAll('.editor-tool').forEach(button => {
+        button.addEventListener('click', () => setEditorTool(button.dataset.tool));
+    });
+    document.getElementById('editor-name').addEventListener('input', event => {
+        editorLevel.name = event.target.value;
+    });
+    document.getElementById('editor-distance').addEventListener('change', onEditorDistanceChanged);
+    document.getElementById('editor-theme').addEventListener('change', onEditorThemeChanged);
+    document.getElementById('editor-selection-height').addEventListener('change', onEditorHeightChanged);
+}
+
+function isEditorOpen() {
+    return editorOpen;
+}
+
+// Open the editor from the start screen, on the current level the first time
+function openEditor() {
+    if (!editorLevel) {
+        loadEditorLevel(createEditorLevel(LEVELS[currentLevel - 1]));
+    }
+
+    document.getElementById('start-screen').classList.add('hidden');
+    customLevel = editorLevel;
+    renderEditorThemes();
+    showEditor();
+    setEditorStatus('Click the ground to place things, drag to move them.');
+}
+
+// Leave the editor for the start screen
+function closeEditor() {
+    hideEditor();
+    customLevel = null;
+    levelDistance = LEVELS[currentLevel - 1].distance;
+
+    returnToMainMenu();
+    loadTowerModel();
+}
+
+// Show the editor again after a test flight, with how the flight went
+function returnToEditor(message) {
+    showEditor();
+    setEditorStatus(message);
+}
+
+// Draw the edited course and show the panel
+function showEditor() {
+    editorOpen = true;
+    editorDragging = false;
+    editorLookFrom = null;
+    editorKeys.clear();
+    levelDistance = editorLevel.distance;
+
+    // Nothing from the game's own course is shown while editing
+    hideAllPillars();
+    hideAllHazards();
+    hideAllPickups();
+    stopGhost();
+    removeCourseRings();
+    removeLevelObject(goldenRing);
+    goldenRing = null;
+    if (plane) plane.visible = false;
+
+    updateSceneTheme();
+    createGround();
+    loadTowerModel();
+
+    editorPillars.forEach(showPillar);
+    editorLevel.rings.forEach(ring => showEditorRing(ring, 'ring'));
+    editorLevel.checkpoints.forEach(checkpoint => showEditorRing(checkpoint, 'checkpoint'));
+    updateEditorFinish();
+    updateEditorSelection();
+    updateEditorPanel();
+    document.getElementById('editor-panel').classList.remove('hidden');
+}
+
+// Take the edited course out of the scene and hide the panel
+function hideEditor() {
+    editorOpen = false;
+    editorDragging = false;
+    editorKeys.clear();
+
+    editorPillars.forEach(hidePillar);
+    editorRingObjects.forEach(removeLevelObject);
+    editorRingObjects.clear();
+    removeLevelObject(editorFinishObject);
+    editorFinishObject = null;
+    if (editorSelectionMarker) {
+        editorSelectionMarker.visible = false;
+    }
+
+    document.getElementById('editor-panel').classList.add('hidden');
+}
+
+// A copy of a level to edit, with its random pillar rows written out as hand-placed ones
+function createEditorLevel(base) {
+    const level = normalizeLevelDefinition(JSON.parse(JSON.stringify(serializeLevelDefinition(base))), base.file);
+    level.number = base.number || currentLevel;
+
+    if (!level.obstacles) {
+        level.obstacles = GameCore.layoutCourse({
+            level: level.number,
+            levelDistance: level.distance,
+            seed: courseSeed,
+            course: level.course,
+            checkpoints: level.checkpoints
+        });
+    }
+    return level;
+}
+
+// Start editing a level
+function loadEditorLevel(level) {
+    editorLevel = level;
+    editorPillars = level.obstacles.map(obstacle => ({ id: editorNextPillarId++, x: obstacle.x, z: obstacle.z }));
+    editorSelection = null;
+}
+
+// Write the pillars back into the level before it's flown or saved
+function syncEditorLevel() {
+    editorLevel.obstacles = editorPillars
+        .map(pillar => ({ x: roundPosition(pillar.x), z: roundPosition(pillar.z) }))
+        .sort((a, b) => a.z - b.z);
+}
+
+// Positions are saved to the centimetre
+function roundPosition(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// Where the golden ring is along the course
+function getEditorFinishZ() {
+    return editorLevel.distance - editorLevel.ring.distanceFromEnd;
+}
+
+// Fill in the panel from the edited level
+function updateEditorPanel() {
+    document.getElementById('editor-name').value = editorLevel.name;
+    document.getElementById('editor-distance').value = editorLevel.distance;
+    document.getElementById('editor-view-btn').textContent = editorView === 'top' ? 'Free-fly Camera' : 'Top-down Camera';
+    document.querySelectorAll('.editor-tool').forEach(button => {
+        button.classList.toggle('selected', button.dataset.tool === editorTool);
+    });
+}
+
+// Offer every loaded level's look as a theme
+function renderEditorThemes() {
+    const select = document.getElementById('editor-theme');
+    select.innerHTML = '';
+
+    LEVELS.forEach((level, index) => {
+        const option = document.createElement('option');
+        option.value = index;
+        option.textContent = level.name || `Level ${level.number}`;
+        select.appendChild(option);
+    });
+
+    const current = LEVELS.findIndex(level => level.obstacle.model === editorLevel.obstacle.model &&
+        JSON.stringify(level.theme) === JSON.stringify(editorLevel.theme));
+    select.value = current >= 0 ? current : '';
+}
+
+function setEditorStatus(text) {
+    document.getElementById('editor-status').textContent =
+        `${text} (${editorPillars.length} pillars, ${editorLevel.rings.length} extra rings, ` +
+        `${editorLevel.checkpoints.length} checkpoints)`;
+}
+
+function setEditorTool(tool) {
+    editorTool = tool;
+    updateEditorPanel();
+}
+
+// Switch between the top-down and free-fly cameras, looking at the same spot
+function toggleEditorView() {
+    if (editorView === 'top') {
+        editorView = 'free';
+        editorFree.x = editorFocus.x;
+        editorFree.z = editorFocus.z - 60;
+        editorFree.y = 40;
+        editorFree.yaw = 0;
+        editorFree.pitch = -0.4;
+    } else {
+        editorView = 'top';
+        editorFocus.x = editorFree.x;
+        editorFocus.z = editorFree.z + 60;
+    }
+    updateEditorPanel();
+}
+
+// Move the camera with the held keys and place it (called every frame while the editor is open)
+function updateEditor(dt) {
+    const forward = (editorKeys.has('KeyW') || editorKeys.has('ArrowUp') ? 1 : 0) -
+        (editorKeys.has('KeyS') || editorKeys.has('ArrowDown') ? 1 : 0);
+    const right = (editorKeys.has('KeyD') || editorKeys.has('ArrowRight') ? 1 : 0) -
+        (editorKeys.has('KeyA') || editorKeys.has('ArrowLeft') ? 1 : 0);
+    const up = (editorKeys.has('KeyE') || editorKeys.has('PageUp') ? 1 : 0) -
+        (editorKeys.has('KeyQ') || editorKeys.has('PageDown') ? 1 : 0);
+    const step = EDITOR_MOVE_SPEED * dt;
+
+    if (editorView === 'top') {
+        // Faster when zoomed out, screen right is -X like the chase camera
+        const zoomScale = editorHeight / 200;
+        editorFocus.z += forward * step * zoomScale;
+        editorFocus.x -= right * step * zoomScale;
+        editorHeight = clampEditor(editorHeight - up * step, EDITOR_MIN_HEIGHT, EDITOR_MAX_HEIGHT);
+
+        editorCamera.up.set(0, 0, 1); // +Z is up the screen
+        editorCamera.position.set(editorFocus.x, editorHeight, editorFocus.z);
+        editorCamera.lookAt(editorFocus.x, 0, editorFocus.z);
+    } else {
+        const sinYaw = Math.sin(editorFree.yaw);
+        const cosYaw = Math.cos(editorFree.yaw);
+        editorFree.x += (sinYaw * forward - cosYaw * right) * step;
+        editorFree.z += (cosYaw * forward + sinYaw * right) * step;
+        editorFree.y = Math.max(1, editorFree.y + up * step);
+
+        const lookDistance = Math.cos(editorFree.pitch);
+        editorCamera.up.set(0, 1, 0);
+        editorCamera.position.set(editorFree.x, editorFree.y, editorFree.z);
+        editorCamera.lookAt(
+            editorFree.x + sinYaw * lookDistance,
+            editorFree.y + Math.sin(editorFree.pitch),
+            editorFree.z + cosYaw * lookDistance
+        );
+    }
+
+    // Keep the shadows around where the camera is looking
+    const target = getEditorViewZ();
+    directionalLight.position.set(50, 100, target + 50);
+    directionalLight.target.position.set(0, 0, target);
+    directionalLight.target.updateMatrixWorld();
+}
+
+// How far along the course the camera is looking
+function getEditorViewZ() {
+    return editorView === 'top' ? editorFocus.z : editorFree.z;
+}
+
+// Called from onKeyDown, which already skips keys typed into the panel's boxes
+function onEditorKeyDown(event) {
+    if (event.code === 'Delete' || event.code === 'Backspace') {
+        deleteEditorSelection();
+        event.preventDefault();
+        return;
+    }
+    editorKeys.add(event.code);
+    if (event.code.startsWith('Arrow') || event.code.startsWith('Page')) {
+        event.preventDefault();
+    }
+}
+
+function onEditorKeyUp(event) {
+    editorKeys.delete(event.code);
+}
+
+function onEditorPointerDown(event) {
+    if (!editorOpen) return;
+
+    // Right button drags the camera
+    if (event.button === 2) {
+        editorLookFrom = { x: event.clientX, y: event.clientY };
+        return;
+    }
+    if (event.button !== 0) return;
+
+    setEditorPointer(event);
+    const picked = pickEditorObject();
+    const point = getEditorGroundPoint();
+
+    switch (editorTool) {
+        case 'select':
+            editorSelection = picked;
+            editorDragging = !!picked;
+            break;
+        case 'pillar':
+            if (point) {
+                const pillar = { id: editorNextPillarId++, x: point.x, z: point.z };
+                editorPillars.push(pillar);
+                showPillar(pillar);
+                editorSelection = { kind: 'pillar', item: pillar };
+            }
+            break;
+        case 'ring':
+        case 'checkpoint':
+            if (point) {
+                const ring = { x: point.x, y: EDITOR_NEW_RING_HEIGHT, z: point.z };
+                getEditorRings(editorTool).push(ring);
+                showEditorRing(ring, editorTool);
+                editorSelection = { kind: editorTool, item: ring };
+            }
+            break;
+        case 'finish':
+            if (point) {
+                editorSelection = { kind: 'finish', item: editorLevel.ring };
+                moveEditorSelection(point);
+                editorDragging = true;
+            }
+            break;
+        case 'erase':
+            if (picked) {
+                editorSelection = picked;
+                deleteEditorSelection();
+            }
+            return;
+    }
+
+    if (editorDragging) {
+        renderer.domElement.setPointerCapture(event.pointerId);
+    }
+    updateEditorSelection();
+    setEditorStatus(editorSelection ? describeEditorSelection() : 'Nothing selected.');
+}
+
+function onEditorPointerMove(event) {
+    if (!editorOpen) return;
+
+    if (editorLookFrom) {
+        const dx = event.clientX - editorLookFrom.x;
+        const dy = event.clientY - editorLookFrom.y;
+        editorLookFrom = { x: event.clientX, y: event.clientY };
+
+        if (editorView === 'top') {
+            // Drag the ground along with the pointer
+            const metresPerPixel = 2 * editorHeight * Math.tan(THREE.MathUtils.degToRad(editorCamera.fov / 2)) /
+                window.innerHeight;
+            editorFocus.x += dx * metresPerPixel;
+            editorFocus.z += dy * metresPerPixel;
+        } else {
+            editorFree.yaw -= dx * EDITOR_LOOK_RATE;
+            editorFree.pitch = clampEditor(editorFree.pitch - dy * EDITOR_LOOK_RATE, -1.5, 1.5);
+        }
+        return;
+    }
+
+    if (editorDragging && editorSelection) {
+        setEditorPointer(event);
+        const point = getEditorGroundPoint();
+        if (point) {
+            moveEditorSelection(point);
+            updateEditorSelection();
+        }
+    }
+}
+
+function onEditorPointerUp(event) {
+    if (!editorOpen) return;
+
+    if (event.button === 2) {
+        editorLookFrom = null;
+        return;
+    }
+    if (editorDragging) {
+        editorDragging = false;
+        if (renderer.domElement.hasPointerCapture(event.pointerId)) {
+            renderer.domElement.releasePointerCapture(event.pointerId);
+        }
+
+        // The ground follows the finish, so it's only rebuilt once the drag is over
+        if (editorSelection && editorSelection.kind === 'finish') {
+            createGround();
+        }
+        setEditorStatus(describeEditorSelection());
+    }
+}
+
+// Zoom the top-down camera, or fly the free camera forward and back
+function onEditorWheel(event) {
+    if (!editorOpen) return;
+    event.preventDefault();
+
+    if (editorView === 'top') {
+        editorHeight = clampEditor(editorHeight * (event.deltaY > 0 ? 1.1 : 0.9), EDITOR_MIN_HEIGHT, EDITOR_MAX_HEIGHT);
+    } else {
+        const step = event.deltaY > 0 ? -10 : 10;
+        editorFree.x += Math.sin(editorFree.yaw) * Math.cos(editorFree.pitch) * step;
+        editorFree.y = Math.max(1, editorFree.y + Math.sin(editorFree.pitch) * step);
+        editorFree.z += Math.cos(editorFree.yaw) * Math.cos(editorFree.pitch) * step;
+    }
+}
+
+function setEditorPointer(event) {
+    const rect = renderer.domElement.getBoundingClientRect();
+    editorPointer.set(
+        ((event.clientX - rect.left) / rect.width) * 2 - 1,
+        -((event.clientY - rect.top) / rect.height) * 2 + 1
+    );
+    editorRaycaster.setFromCamera(editorPointer, editorCamera);
+}
+
+// Where the pointer ray meets the ground, kept inside the course, or null when pointing at the sky
+function getEditorGroundPoint() {
+    if (!editorRaycaster.ray.intersectPlane(editorGroundPlane, editorGroundPoint)) return null;
+
+    const maxX = GameCore.BARRIER_X - GameCore.PILLAR_WIDTH;
+    return {
+        x: clampEditor(editorGroundPoint.x, -maxX, maxX),
+        z: clampEditor(editorGroundPoint.z, 0, editorLevel.distance)
+    };
+}
+
+// The ring or pillar under the pointer, or null (rings win as they're bigger targets)
+function pickEditorObject() {
+    const ray = editorRaycaster.ray;
+    const rings = [{ kind: 'finish', item: editorLevel.ring, x: editorLevel.ring.x, y: editorLevel.ring.y, z: getEditorFinishZ() }]
+        .concat(editorLevel.rings.map(ring => ({ kind: 'ring', item: ring, x: ring.x, y: ring.y, z: ring.z })))
+        .concat(editorLevel.checkpoints.map(ring => ({ kind: 'checkpoint', item: ring, x: ring.x, y: ring.y, z: ring.z })));
+
+    let best = null;
+    let bestDistance = GameCore.RING_OUTER_RADIUS;
+    rings.forEach(ring => {
+        const distance = ray.distanceToPoint(editorSegmentStart.set(ring.x, ring.y, ring.z));
+        if (distance < bestDistance) {
+            best = { kind: ring.kind, item: ring.item };
+            bestDistance = distance;
+        }
+    });
+    if (best) return best;
+
+    // Pillars are picked anywhere along their height
+    bestDistance = EDITOR_PICK_RADIUS * EDITOR_PICK_RADIUS;
+    editorPillars.forEach(pillar => {
+        editorSegmentStart.set(pillar.x, 0, pillar.z);
+        editorSegmentEnd.set(pillar.x, GameCore.PILLAR_HEIGHT, pillar.z);
+        const distance = ray.distanceSqToSegment(editorSegmentStart, editorSegmentEnd);
+        if (distance < bestDistance) {
+            best = { kind: 'pillar', item: pillar };
+            bestDistance = distance;
+        }
+    });
+    return best;
+}
+
+// Put the selected object at a point on the ground
+function moveEditorSelection(point) {
+    const { kind, item } = editorSelection;
+
+    if (kind === 'pillar') {
+        hidePillar(item);
+        item.x = point.x;
+        item.z = point.z;
+        showPillar(item);
+    } else if (kind === 'ring' || kind === 'checkpoint') {
+        item.x = point.x;
+        item.z = point.z;
+        editorRingObjects.get(item).position.set(item.x, item.y, item.z);
+    } else {
+        // The level ends at the finish ring, so moving it changes the level's length
+        item.x = point.x;
+        editorLevel.distance = Math.max(EDITOR_FINISH_MARGIN, Math.round(point.z + item.distanceFromEnd));
+        levelDistance = editorLevel.distance;
+        updateEditorFinish();
+        updateEditorPanel();
+    }
+}
+
+function deleteEditorSelection() {
+    if (!editorSelection) return;
+
+    const { kind, item } = editorSelection;
+    if (kind === 'pillar') {
+        hidePillar(item);
+        editorPillars.splice(editorPillars.indexOf(item), 1);
+    } else if (kind === 'ring' || kind === 'checkpoint') {
+        const rings = getEditorRings(kind);
+        removeLevelObject(editorRingObjects.get(item));
+        editorRingObjects.delete(item);
+        rings.splice(rings.indexOf(item), 1);
+    } else {
+        // Every level needs its finish
+        updateEditorSelection();
+        setEditorStatus('The finish ring can be moved but not deleted.');
+        return;
+    }
+
+    editorSelection = null;
+    updateEditorSelection();
+    setEditorStatus('Deleted.');
+}
+
+// Remove every pillar, extra ring and checkpoint
+function clearEditorCourse() {
+    if (!confirm('Remove every pillar, extra ring and checkpoint from this level?')) return;
+
+    editorPillars.forEach(hidePillar);
+    editorPillars = [];
+    editorRingObjects.forEach(removeLevelObject);
+    editorRingObjects.clear();
+    editorLevel.rings = [];
+    editorLevel.checkpoints = [];
+    editorSelection = null;
+    updateEditorSelection();
+    setEditorStatus('Course cleared.');
+}
+
+function describeEditorSelection() {
+    if (!editorSelection) return 'Nothing selected.';
+
+    const { kind, item } = editorSelection;
+    const z = kind === 'finish' ? getEditorFinishZ() : item.z;
+    const names = { pillar: 'Pillar', ring: 'Ring', checkpoint: 'Checkpoint', finish: 'Finish ring' };
+    return `${names[kind]} at ${Math.round(item.x)}m across, ${Math.round(z)}m along.`;
+}
+
+// The level's extra rings or checkpoints
+function getEditorRings(kind) {
+    return kind === 'checkpoint' ? editorLevel.checkpoints : editorLevel.rings;
+}
+
+// Drawn in the same colours as in the game
+function showEditorRing(ring, kind) {
+    const ringGroup = createRingModel(kind === 'checkpoint' ? 0xff8800 : 0x00d4ff, 0xffffff);
+    ringGroup.position.set(ring.x, ring.y, ring.z);
+    editorRingObjects.set(ring, addLevelObject(ringGroup));
+}
+
+function updateEditorFinish() {
+    if (!editorFinishObject) {
+        editorFinishObject = addLevelObject(createRingModel(0xFFD700, 0x00ff00));
+    }
+    editorFinishObject.position.set(editorLevel.ring.x, editorLevel.ring.y, getEditorFinishZ());
+}
+
+// Mark the selected object on the ground and show its height box for rings
+function updateEditorSelection() {
+    if (!editorSelectionMarker) {
+        editorSelectionMarker = new THREE.Mesh(
+            new THREE.RingGeometry(0.85, 1, 32),
+            new THREE.MeshBasicMaterial({ color: 0xffff00, side: THREE.DoubleSide, depthTest: false })
+        );
+        editorSelectionMarker.rotation.x = -Math.PI / 2;
+        editorSelectionMarker.renderOrder = 1;
+        scene.add(editorSelectionMarker);
+    }
+
+    const heightRow = document.getElementById('editor-selection-row');
+    editorSelectionMarker.visible = !!editorSelection;
+    if (!editorSelection) {
+        heightRow.classList.add('hidden');
+        return;
+    }
+
+    const { kind, item } = editorSelection;
+    const z = kind === 'finish' ? getEditorFinishZ() : item.z;
+    const radius = kind === 'pillar' ? EDITOR_PICK_RADIUS : GameCore.RING_OUTER_RADIUS + 1;
+    editorSelectionMarker.position.set(item.x, 0.1, z);
+    editorSelectionMarker.scale.set(radius, radius, radius);
+
+    heightRow.classList.toggle('hidden', kind === 'pillar');
+    document.getElementById('editor-selection-height').value = kind === 'pillar' ? '' : item.y;
+}
+
+function onEditorHeightChanged(event) {
+    if (!editorSelection || editorSelection.kind === 'pillar') return;
+
+    const height = Number(event.target.value);
+    if (!Number.isFinite(height)) return;
+
+    // Low enough that the ground doesn't get in the way of the middle
+    const item = editorSelection.item;
+    item.y = clampEditor(height, GameCore.RING_INNER_RADIUS, 100);
+    event.target.value = item.y;
+    if (editorSelection.kind !== 'finish') {
+        editorRingObjects.get(item).position.y = item.y;
+    } else {
+        updateEditorFinish();
+    }
+}
+
+function onEditorDistanceChanged(event) {
+    const distance = Math.round(Number(event.target.value));
+    if (Number.isFinite(distance) && distance >= EDITOR_FINISH_MARGIN) {
+        editorLevel.distance = distance;
+        levelDistance = distance;
+        updateEditorFinish();
+        updateEditorSelection();
+        createGround();
+    }
+    updateEditorPanel();
+}
+
+// Take the look and obstacle model of one of the loaded levels
+function onEditorThemeChanged(event) {
+    const level = LEVELS[Number(event.target.value)];
+    if (!level) return;
+
+    editorLevel.theme = JSON.parse(JSON.stringify(level.theme));
+    editorLevel.obstacle = JSON.parse(JSON.stringify(level.obstacle));
+    updateSceneTheme();
+    createGround();
+    loadTowerModel();
+}
+
+// Fly the edited level from where the camera is looking
+function testFlyFromHere() {
+    syncEditorLevel();
+    const startZ = clampEditor(getEditorViewZ(), 0, getEditorFinishZ() - EDITOR_FINISH_MARGIN);
+
+    hideEditor();
+    startTestFlight(Math.max(0, startZ));
+}
+
+// Save the edited level as a file the game can load (add it to levels/index.json)
+function exportEditorLevel() {
+    syncEditorLevel();
+    const data = serializeLevelDefinition(editorLevel);
+    const blob = new Blob([JSON.stringify(data, null, 4)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = (editorLevel.name || 'level').toLowerCase().replace(/[^a-z0-9]+/g, '-') + '.json';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+
+    URL.revokeObjectURL(url);
+    setEditorStatus(`Exported ${link.download}.`);
+}
+
+// Edit a level file chosen for import
+function onEditorFileSelected(event) {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = function () {
+        let level;
+        try {
+            level = createEditorLevel(normalizeLevelDefinition(JSON.parse(reader.result), file.name));
+        } catch (error) {
+            console.error('Error importing level:', error);
+            alert('Could not import level: ' + error.message);
+            return;
+        }
+
+        hideEditor();
+        loadEditorLevel(level);
+        customLevel = editorLevel;
+        renderEditorThemes();
+        showEditor();
+        setEditorStatus(`Imported ${file.name}.`);
+    };
+    reader.onerror = function () {
+        alert('Could not read the selected file.');
+    };
+    reader.readAsText(file);
+}
+
+function clampEditor(value, min, max) {
+    return Math.min(Math.max(value, min), max);
+}
@@ -0,0 +1,79 @@
+// Endless mode - a course with no finish that gets harder every stage (see ENDLESS_* in core.js)
+// The scenery cycles through the levels' themes as the stages go by, and moves along with the plane
+
+const ENDLESS_LEVEL_NUMBER = 0; // Seeds the endless course apart from the numbered levels
+const ENDLESS_GROUND_BEHIND = 1000; // Metres of ground kept behind the plane
+const SCENERY_STEP = 100; // The ground moves in whole texture tiles, so its pattern never jumps
+
+let endlessMode = false; // Playing endless mode instead of a level
+let endlessLevel = null; // Endless mode's course, its theme changes with the stage
+
+// Build endless mode's course from the loaded levels (the first level's look to begin with)
+function createEndlessLevel() {
+    const first = LEVELS[0];
+    endlessLevel = normalizeLevelDefinition({
+        name: 'Endless',
+        distance: GROUND_MIN_LENGTH, // Only sizes the scenery, which follows the plane
+        theme: first.theme,
+        obstacle: first.obstacle
+    }, 'endless');
+    endlessLevel.number = ENDLESS_LEVEL_NUMBER;
+}
+
+// Start an endless run from the start screen
+function startEndless() {
+    endlessMode = true;
+    levelDistance = endlessLevel.distance;
+
+    document.getElementById('start-screen').classList.add('hidden');
+    restartLevel();
+}
+
+// Leave endless mode for the numbered levels
+function stopEndless() {
+    endlessMode = false;
+    levelDistance = LEVELS[currentLevel - 1].distance;
+}
+
+// Use the theme of the stage (the levels' themes in turn)
+function setEndlessTheme(stage) {
+    endlessLevel.theme = LEVELS[stage % LEVELS.length].theme;
+}
+
+// The run reached a new stage: announce it and change the scenery
+function onEndlessStage(stage) {
+    showHudMessage(`Stage ${stage + 1}!`);
+
+    const theme = endlessLevel.theme;
+    setEndlessTheme(stage);
+    if (endlessLevel.theme !== theme) {
+        updateSceneTheme();
+        createGround();
+        updateEndlessScenery();
+    }
+}
+
+// Keep the ground, walls and sky around the plane (called every frame of an endless run)
+function updateEndlessScenery() {
+    const planeZ = gameState.plane.position.z;
+    const groundStart = Math.max(0, Math.floor((planeZ - ENDLESS_GROUND_BEHIND) / SCENERY_STEP) * SCENERY_STEP);
+
+    if (ground) {
+        ground.position.z = groundStart + ground.geometry.parameters.height / 2;
+    }
+    barriers.forEach(barrier => {
+        barrier.position.z = groundStart + barrier.geometry.parameters.depth / 2;
+    });
+
+    const skyPlane = scene.getObjectByName('skyBackgroundPlane');
+    if (skyPlane) {
+        skyPlane.position.z = planeZ + SKY_MIN_DISTANCE;
+    }
+}
+
+// Show the endless high score on the start screen
+function updateEndlessButton() {
+    const best = profile.endless;
+    document.getElementById('endless-btn').textContent = best.bestScore > 0 ?
+        `Endless Mode (Best: ${best.bestScore}, ${best.bestDistance}m)` : 'Endless Mode';
+}
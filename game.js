@@ -1,46 +1,68 @@
 // Game variables
 let scene, camera, renderer;
 let plane;
-let pillars = [];
 let barriers = []; // Boundary barriers
 let ground = null; // Ground mesh
 let towerModel = null; // Tower GLB model for pillars
+let planeHitbox = null; // Collision boxes measured from the plane model
+let obstacleHitbox = null; // Collision boxes measured from the tower model
+let hazardHitboxes = {}; // Collision boxes measured from the drone and missile models, by kind
 let goldenRing = null;
+let courseRingObjects = new Map(); // Extra or checkpoint ring -> drawn ring, until it's flown through
 let directionalLight; // Main sun light that follows the plane
-let keys = {};
 let gameStarted = false;
 let gameOver = false;
-
-// Game settings
-const PILLAR_HEIGHT = 20;
-const PILLAR_WIDTH = 2;
-const PILLAR_SPACING = 50;
-const PILLAR_GAP = 20;
-const INITIAL_SPEED = 0.5;
-const MAX_SPEED = 5;
-const MIN_SPEED = 0.1;
-
-// ===== PLANE ROTATION CONTROL =====
-// Adjust these values to rotate the plane permanently
-// Values are in radians: Math.PI / 2 = 90 degrees, Math.PI = 180 degrees
-const PLANE_PERMANENT_ROTATION = {
-    x: 0,              // Pitch rotation (nose up/down)
-    y: 0,              // Yaw rotation (turn left/right) - currently facing forward
-    z: 0              // Roll rotation (tilt left/right)
-};
-
-// Plane model scale (adjust if your Blender model is too big or too small)
-const PLANE_MODEL_SCALE = 1;  // 1 = original size, 0.5 = half size, 2 = double size
-// ==================================
-
-// Level system
-const LEVELS = [
-    { number: 1, distance: 3000, unlocked: true },
-    { number: 2, distance: 6000, unlocked: false },
-    { number: 3, distance: 9000, unlocked: false },
-    { number: 4, distance: 12000, unlocked: false },
-    { number: 5, distance: 15000, unlocked: false }
+let gamePaused = false;
+
+// Frame timing - the simulation itself steps at GameCore.FIXED_TIMESTEP
+const MAX_FRAME_TIME = 0.25; // Longest frame we catch up on (avoids a spiral after a stall)
+
+// View settings (all rates are per second)
+const CAMERA_ORBIT_RATE = 1.2; // Radians per second the chase camera orbits
+const SPEED_TO_KMH = 3.6; // m/s to km/h for the HUD
+
+// What the HUD says when a pickup with an effect is collected
+const PICKUP_MESSAGES = { boost: 'Speed boost!', shield: 'Shield!', slowTime: 'Slow time!' };
+
+// Scenery size - long levels stretch the ground and push the sky image back past the finish
+const GROUND_MIN_LENGTH = 16000;
+const GROUND_PAST_FINISH = 1000; // Ground carries on this far beyond the finish
+const SKY_MIN_DISTANCE = 15000;
+
+// ===== AIRCRAFT ROSTER =====
+// file     - GLB model of the aircraft
+// scale    - 1 = original size, 0.5 = half size, 2 = double size
+// rotation - turns the model so it faces forward, in radians (Math.PI / 2 = 90 degrees)
+//            x = pitch (nose up/down), y = yaw (turn left/right), z = roll (tilt left/right)
+// hitbox   - how the collision volume is measured from the model (see HITBOX_MODE in hitbox.js)
+// stats    - handling, see DEFAULT_AIRCRAFT in core.js (speeds in m/s, rates per second)
+const AIRCRAFT = [
+    {
+        id: 'falcon',
+        name: 'Falcon',
+        description: 'Fast jet with a huge top speed',
+        file: 'Untitled.glb',
+        scale: 1,
+        rotation: { x: 0, y: 0, z: 0 },
+        hitbox: 'compound',
+        stats: { minSpeed: 6, maxSpeed: 300, acceleration: 36, steerSpeed: 18, climbSpeed: 6, attitudeRate: 1.2, stallSpeed: 22 }
+    },
+    {
+        id: 'skylark',
+        name: 'Skylark',
+        description: 'Nimble prop plane, slower but turns tight',
+        file: 'Untitled_plan.glb',
+        scale: 1,
+        rotation: { x: 0, y: 0, z: 0 },
+        hitbox: 'compound',
+        stats: { minSpeed: 10, maxSpeed: 160, acceleration: 28, steerSpeed: 26, climbSpeed: 9, attitudeRate: 1.8, stallSpeed: 14 }
+    }
 ];
+// ============================
+
+// Level system - filled from the level files (see levels.js) once they've loaded
+// Each entry is a level definition plus its number and whether it's unlocked
+const LEVELS = [];
 
 // ===== DEVELOPER SETTINGS =====
 // Set to true to lock levels (must complete previous level to unlock)
@@ -48,65 +70,21 @@ const LEVELS = [
 const LOCK_LEVEL = true;
 // ==============================
 
-// Level themes
-const LEVEL_THEMES = {
-    1: { // Grass
-        name: 'Grass',
-        groundColor: '#3a9d23',
-        groundVariation: { r: 58, g: 157, b: 35 },
-        skyColor: 0x87CEEB, // Sky blue
-        fogColor: 0x87CEEB,
-        ambientLight: 0xffffff,
-        skyBackground: 'grass.png' // No image, use solid color
-    },
-    2: { // Ice
-        name: 'Ice',
-        groundColor: '#d0e8f2',
-        groundVariation: { r: 208, g: 232, b: 242 },
-        skyColor: 0xb0d4e8, // Light blue-gray
-        fogColor: 0xb0d4e8,
-        ambientLight: 0xe0f0ff,
-        skyBackground: 'ice.png' // No image, use solid color
-    },
-    3: { // Desert
-        name: 'Desert',
-        groundColor: '#d4a574',
-        groundVariation: { r: 212, g: 165, b: 116 },
-        skyColor: 0xffd89b, // Sandy yellow
-        fogColor: 0xffd89b,
-        ambientLight: 0xfff4e0,
-        skyBackground: 'desert.png' // No image, use solid color
-    },
-    4: { // Halloween
-        name: 'Halloween',
-        groundColor: '#6b2d8f',
-        groundVariation: { r: 107, g: 45, b: 143 },
-        skyColor: 0x2a0845, // Dark purple
-        fogColor: 0x2a0845,
-        ambientLight: 0xff8800,
-        skyBackground: 'halloween.png' // Halloween sky image
-    },
-    5: { // Above clouds
-        name: 'Above Clouds',
-        groundColor: '#ffffff',
-        groundVariation: { r: 255, g: 255, b: 255 },
-        skyColor: 0x4a90e2, // Bright sky blue
-        fogColor: 0x4a90e2,
-        ambientLight: 0xffffff,
-        skyBackground: 'clouds.png' // No image, use solid color
-    }
-};
-
 // Game state
 let currentLevel = 1;
-let levelDistance = LEVELS[0].distance;
-let speed = INITIAL_SPEED;
-let score = 0;
-let distance = 0;
-let planeRotation = { x: 0, y: 0, z: 0 };
-let planePosition = { x: 0, y: 5, z: 0 };
+let levelDistance = 0; // Set from the level definition once levels have loaded
+let customLevel = null; // Level open in the editor, played instead of one from LEVELS while set
+let testStartZ = 0; // Where test flights of the edited level start
+let gameState = null; // Simulation state from GameCore (plane, speed, score, pillars, ring)
+let lastFrameTime = null; // Timestamp of the previous animation frame
+let accumulator = 0; // Unsimulated time carried between frames
 let cameraAngle = 0; // Camera rotation angle around the plane (in radians)
 let firstPersonView = false; // Toggle for first-person camera view
+let courseSeed = randomSeed(); // Seed shared by every level's layout
+let settingsControls = []; // Functions that show each settings control's saved value
+let currentReplay = null; // Recording of the run being flown
+let hudMessageTimer = null; // Hides the HUD message again
+let replayPlayback = null; // Reader of the recorded run being watched, null when the player flies
 
 // Initialize the game
 function init() {
@@ -163,231 +141,403 @@ function init() {
     pointLight2.position.set(10, 10, 20);
     scene.add(pointLight2);
 
+    // Load saved progress and settings
+    loadProfile();
+    firstPersonView = getSetting('firstPersonView');
+
+    // Sound starts with the first click or key press
+    initAudio();
+
     // Create plane
     createPlane();
 
-    // Load tower model for pillars (will generate pillars after loading)
-    loadTowerModel();
+    // Load the drone and missile models (default shapes are drawn until then)
+    loadHazardModels(onHazardModelLoaded);
 
-    // Create ground with level theme
-    createGround(currentLevel);
+    // The menu and world are built from the level files
+    loadLevelDefinitions()
+        .then(onLevelsLoaded)
+        .catch(error => {
+            console.error('Error loading levels:', error);
+            alert('Failed to load the levels. ' + error.message);
+        });
 
     // Event listeners
     window.addEventListener('resize', onWindowResize);
     document.addEventListener('keydown', onKeyDown);
     document.addEventListener('keyup', onKeyUp);
+    window.addEventListener('blur', onWindowBlur);
+    document.addEventListener('visibilitychange', () => {
+        if (document.hidden) pauseGame();
+    });
 
     document.getElementById('start-btn').addEventListener('click', startGame);
+    document.getElementById('endless-btn').addEventListener('click', startEndless);
+    document.getElementById('split-screen-btn').addEventListener('click', startSplitScreen);
+    document.getElementById('time-trial-toggle').addEventListener('change', event => setTimeTrialMode(event.target.checked));
     document.getElementById('restart-btn').addEventListener('click', restartGame);
+    document.getElementById('checkpoint-btn').addEventListener('click', retryFromCheckpoint);
     document.getElementById('main-menu-btn').addEventListener('click', returnToMainMenu);
+    document.getElementById('watch-replay-btn').addEventListener('click', watchBestReplay);
+    document.getElementById('rematch-btn').addEventListener('click', () => restartLevel());
+    document.getElementById('split-menu-btn').addEventListener('click', returnToMainMenu);
+
+    // Pause menu
+    document.getElementById('resume-btn').addEventListener('click', resumeGame);
+    document.getElementById('pause-restart-btn').addEventListener('click', () => {
+        leaveOnlineRace();
+        restartLevel();
+    });
+    document.getElementById('pause-settings-btn').addEventListener('click', openSettings);
+    document.getElementById('pause-main-menu-btn').addEventListener('click', returnToMainMenu);
 
-    // Level selection listeners
-    document.querySelectorAll('.level-btn').forEach(btn => {
-        btn.addEventListener('click', selectLevel);
+    // Profile export/import
+    document.getElementById('export-profile-btn').addEventListener('click', exportProfile);
+    document.getElementById('import-profile-btn').addEventListener('click', () => {
+        document.getElementById('import-profile-input').click();
     });
+    document.getElementById('import-profile-input').addEventListener('change', onProfileFileSelected);
+
+    // Settings screen
+    document.getElementById('settings-btn').addEventListener('click', openSettings);
+    document.getElementById('settings-back-btn').addEventListener('click', closeSettings);
+    initSettingsControls();
+    document.getElementById('reset-bindings-btn').addEventListener('click', () => {
+        resetKeyBindings();
+        onBindingsChanged();
+    });
+    window.addEventListener('gamepadconnected', updateGamepadStatus);
+    window.addEventListener('gamepaddisconnected', updateGamepadStatus);
 
-    // Initialize level button states
-    updateLevelButtons();
+    // Course seed controls
+    document.getElementById('random-seed-btn').addEventListener('click', () => {
+        setCourseSeed(randomSeed());
+    });
+    document.getElementById('seed-input').addEventListener('change', onSeedInputChanged);
+    updateSeedDisplay();
+
+    renderAircraftButtons();
+    initEditor();
+    initMultiplayer();
 
     // Start animation loop
     animate();
 }
 
-// Create the plane
-function createPlane() {
-    const loader = new THREE.GLTFLoader();
-
-    // Load the Blender model
-    loader.load(
-        'Untitled.glb',
-        function (gltf) {
-            // Get the loaded model
-            const planeModel = gltf.scene;
-
-            // Enable shadows for all meshes in the model
-            planeModel.traverse(function (child) {
-                if (child.isMesh) {
-                    child.castShadow = true;
-                    child.receiveShadow = true;
-                }
-            });
+// Create the plane for the selected aircraft
+// If its model can't be loaded it's drawn with the first aircraft's model (it still flies with its own stats)
+function createPlane(look = getSelectedAircraft()) {
+    const aircraft = getSelectedAircraft();
 
-            // Scale the model if needed (adjust this value based on your model size)
-            planeModel.scale.set(PLANE_MODEL_SCALE, PLANE_MODEL_SCALE, PLANE_MODEL_SCALE);
+    loadModel(look.file, enableModelShadows).then(
+        function (template) {
+            // Another aircraft was picked while this one loaded
+            if (getSelectedAircraft() !== aircraft) return;
 
-            // Set position
-            planeModel.position.set(planePosition.x, planePosition.y, planePosition.z);
+            const planeGroup = buildAircraftModel(template, look);
+            planeGroup.position.set(0, 5, 0);
+            planeGroup.userData.aircraftId = aircraft.id;
 
-            // Apply permanent rotation from configuration
-            planeModel.rotation.x = PLANE_PERMANENT_ROTATION.x;
-            planeModel.rotation.y = PLANE_PERMANENT_ROTATION.y;
-            planeModel.rotation.z = PLANE_PERMANENT_ROTATION.z;
+            // Hidden while the saved view is first-person
+            planeGroup.visible = !firstPersonView;
 
-            // Add to scene
-            scene.add(planeModel);
-            plane = planeModel;
+            // Collide with the model's actual shape
+            planeHitbox = computeModelHitbox(planeGroup, look.hitbox);
+            if (gameState) {
+                getRunStates().forEach(state => GameCore.setPlaneHitbox(state, planeHitbox));
+            }
 
-            console.log('Plane model loaded successfully!');
-        },
-        function (xhr) {
-            // Loading progress
-            console.log((xhr.loaded / xhr.total * 100) + '% loaded');
+            // Replace the previous aircraft in the scene
+            removePlane();
+            scene.add(planeGroup);
+            plane = planeGroup;
         },
         function (error) {
-            // Error handling
-            console.error('Error loading plane model:', error);
-            alert('Failed to load plane model. Check console for details.');
+            console.error(`Error loading the ${look.name} model:`, error);
+            if (look !== AIRCRAFT[0] && getSelectedAircraft() === aircraft) {
+                createPlane(AIRCRAFT[0]);
+            }
         }
     );
 }
 
-// Load tower model for pillars
-function loadTowerModel() {
-    // Select model based on current level
-    let modelFile;
-    switch (currentLevel) {
-        case 1:
-            modelFile = 'log.glb';
-            break;
-        case 2:
-            modelFile = 'tower.glb';
-            break;
-        case 3:
-            modelFile = 'cactus.glb';
-            break;
-        case 4:
-            modelFile = 'dead_tree.glb';
-            break;
-        case 5:
-            modelFile = 'tower.glb';
-            break;
-        default:
-            modelFile = 'log.glb'; // Fallback
+// Scale and turn a copy of an aircraft's loaded model as configured in the roster
+// Wrapped so the plane's roll and pitch in flight don't replace the model's rotation
+function buildAircraftModel(template, look) {
+    const model = template.clone();
+    model.scale.set(look.scale, look.scale, look.scale);
+    model.rotation.set(look.rotation.x, look.rotation.y, look.rotation.z);
+
+    const group = new THREE.Group();
+    group.add(model);
+    group.rotation.order = 'YXZ'; // Heading, then pitch, then roll (like GameCore's hitboxes)
+    return group;
+}
+
+// Let every mesh in a loaded model cast and receive shadows
+function enableModelShadows(model) {
+    model.traverse((child) => {
+        if (child.isMesh) {
+            child.castShadow = true;
+            child.receiveShadow = true;
+        }
+    });
+}
+
+// Take the current plane out of the scene (its model stays cached for when the aircraft is picked again)
+function removePlane() {
+    if (!plane) return;
+
+    scene.remove(plane);
+    plane = null;
+
+    // Player two's plane is a copy of the old model
+    releaseSecondPlayerModel();
+}
+
+// The aircraft chosen on the start screen
+function getSelectedAircraft() {
+    return AIRCRAFT.find(aircraft => aircraft.id === getSetting('aircraft')) || AIRCRAFT[0];
+}
+
+// Switch to another aircraft from the roster
+function selectAircraft(aircraftId) {
+    if (aircraftId === getSelectedAircraft().id) return;
+
+    setSetting('aircraft', aircraftId);
+    applySelectedAircraft();
+}
+
+// Fly and show the aircraft saved in the profile
+function applySelectedAircraft() {
+    // Default hitbox until the new model has been measured
+    planeHitbox = null;
+    if (gameState) {
+        GameCore.setAircraft(gameState, getSelectedAircraft().stats);
+        GameCore.setPlaneHitbox(gameState, null);
     }
 
-    const loader = new THREE.GLTFLoader();
-    loader.load(
-        modelFile,
-        function (gltf) {
-            // Store the loaded model
-            towerModel = gltf.scene;
-
-            // Fix materials and enable shadows for all meshes in the model
-            towerModel.traverse((child) => {
-                if (child.isMesh) {
-                    child.castShadow = true;
-                    child.receiveShadow = true;
-
-                    // Fix material properties for better lighting
-                    if (child.material) {
-                        // Ensure the material responds to lights properly
-                        child.material.needsUpdate = true;
-
-                        // If the material is too dark, adjust its properties
-                        if (child.material.color) {
-                            // Brighten the color significantly
-                            const color = child.material.color;
-                            const brightness = (color.r + color.g + color.b) / 3;
-
-                            // If the color is dark, brighten it significantly
-                            if (brightness < 0.3) {
-                                // Multiply by 5 to make it much brighter
-                                child.material.color.multiplyScalar(5);
-                            } else if (brightness < 0.5) {
-                                // Still brighten moderately dark colors
-                                child.material.color.multiplyScalar(2);
-                            }
-                        }
-
-                        // Adjust metalness and roughness for better appearance
-                        if (child.material.metalness !== undefined) {
-                            // Reduce metalness to make it less reflective
-                            child.material.metalness = 0.1;
-                        }
-
-                        if (child.material.roughness !== undefined) {
-                            // Increase roughness for better diffuse lighting
-                            child.material.roughness = 0.9;
-                        }
-
-                        // Add emissive glow to make it visible even in shadows
-                        if (child.material.emissive && child.material.color) {
-                            // Make it emit light based on its color
-                            child.material.emissive.copy(child.material.color);
-                            child.material.emissive.multiplyScalar(0.3); // 30% emissive
-                            child.material.emissiveIntensity = 0.5;
-                        }
-                    }
-                }
+    createPlane();
+    renderAircraftButtons();
+}
+
+// Build the aircraft roster on the start screen
+function renderAircraftButtons() {
+    const container = document.getElementById('aircraft-buttons');
+    const selected = getSelectedAircraft();
+    container.innerHTML = '';
+
+    AIRCRAFT.forEach(aircraft => {
+        const button = document.createElement('button');
+        button.className = 'aircraft-btn' + (aircraft === selected ? ' selected' : '');
+
+        const name = document.createElement('strong');
+        name.textContent = aircraft.name;
+        const description = document.createElement('span');
+        description.className = 'aircraft-description';
+        description.textContent = aircraft.description;
+        const stats = document.createElement('span');
+        stats.className = 'aircraft-stats';
+        stats.textContent = `Top speed ${Math.round(aircraft.stats.maxSpeed * SPEED_TO_KMH)} km/h` +
+            ` · Steering ${aircraft.stats.steerSpeed} m/s · Climb ${aircraft.stats.climbSpeed} m/s`;
+
+        button.append(name, description, stats);
+        button.addEventListener('click', () => selectAircraft(aircraft.id));
+        container.appendChild(button);
+    });
+}
+
+// Number the loaded levels, build the level buttons and show the first level behind the start screen
+function onLevelsLoaded(definitions) {
+    definitions.forEach((definition, index) => {
+        LEVELS.push(Object.assign({ number: index + 1, unlocked: index === 0 }, definition));
+    });
+    applyProfileToLevels();
+    renderLevelButtons();
+    updateLevelButtons();
+    createEndlessLevel();
+    updateEndlessButton();
+
+    levelDistance = LEVELS[currentLevel - 1].distance;
+    updateSeedDisplay();
+
+    // Simulation state for the level shown behind the start screen
+    gameState = createLevelState();
+
+    // Load tower model for pillars (will build the pillar meshes after loading)
+    loadTowerModel();
+
+    // Create ground with level theme
+    createGround();
+
+    // Show the progress of the first models and sky
+    waitForAssets();
+
+    document.getElementById('start-btn').disabled = false;
+    document.getElementById('endless-btn').disabled = false;
+    document.getElementById('split-screen-btn').disabled = false;
+    document.getElementById('editor-btn').disabled = false;
+}
+
+// Definition of the level being played (the edited level while the editor is in use)
+function getCurrentLevel() {
+    return customLevel || (endlessMode ? endlessLevel : LEVELS[currentLevel - 1]);
+}
+
+// Build a button for every level on the start screen
+function renderLevelButtons() {
+    const container = document.getElementById('level-buttons');
+    container.innerHTML = '';
+
+    LEVELS.forEach(level => {
+        const button = document.createElement('button');
+        button.className = 'level-btn';
+        button.dataset.level = level.number;
+
+        const name = document.createElement('span');
+        name.className = 'level-name';
+        name.textContent = level.name;
+        const distance = document.createElement('span');
+        distance.className = 'level-distance';
+        distance.textContent = `${level.distance}m`;
+        const best = document.createElement('span');
+        best.className = 'level-best';
+        const stars = document.createElement('span');
+        stars.className = 'level-stars';
+        const time = document.createElement('span');
+        time.className = 'level-time';
+
+        button.append(`Level ${level.number}`, name, distance, best, stars, time);
+        button.addEventListener('click', selectLevel);
+        container.appendChild(button);
+    });
+}
+
+// Load the current level's obstacle model and draw the pillars with it, resolves once they're drawn
+// A model that can't be loaded falls back to the default obstacle, and only then to box pillars,
+// so the pillars always collide with the shape that's drawn
+function loadTowerModel() {
+    const level = getCurrentLevel();
+    const modelFile = level.obstacle.model;
+
+    return loadModel(modelFile, prepareTowerModel)
+        .catch(error => {
+            console.error(`Error loading obstacle model ${modelFile}:`, error);
+            if (modelFile === DEFAULT_OBSTACLE.model) return null;
+            return loadModel(DEFAULT_OBSTACLE.model, prepareTowerModel).catch(fallbackError => {
+                console.error('Error loading the default obstacle model, using box pillars:', fallbackError);
+                return null;
             });
+        })
+        .then(model => {
+            // Another level (or another model in the editor) was picked while this one loaded
+            if (getCurrentLevel() !== level || level.obstacle.model !== modelFile) return;
+            applyTowerModel(model);
+        });
+}
 
-            console.log('Tower model loaded successfully');
-
-            // Remove all old pillars from the scene before generating new ones
-            pillars.forEach(pillar => {
-                scene.remove(pillar);
-                // Also dispose of geometries and materials to free memory
-                pillar.traverse((child) => {
-                    if (child.geometry) child.geometry.dispose();
-                    if (child.material) {
-                        if (Array.isArray(child.material)) {
-                            child.material.forEach(mat => mat.dispose());
-                        } else {
-                            child.material.dispose();
-                        }
+// Make a newly loaded obstacle model look right under the scene's lights (runs once per model)
+function prepareTowerModel(model) {
+    // Fix materials and enable shadows for all meshes in the model
+    model.traverse((child) => {
+        if (child.isMesh) {
+            child.castShadow = true;
+            child.receiveShadow = true;
+
+            // Fix material properties for better lighting
+            if (child.material) {
+                // Ensure the material responds to lights properly
+                child.material.needsUpdate = true;
+
+                // If the material is too dark, adjust its properties
+                if (child.material.color) {
+                    // Brighten the color significantly
+                    const color = child.material.color;
+                    const brightness = (color.r + color.g + color.b) / 3;
+
+                    // If the color is dark, brighten it significantly
+                    if (brightness < 0.3) {
+                        // Multiply by 5 to make it much brighter
+                        child.material.color.multiplyScalar(5);
+                    } else if (brightness < 0.5) {
+                        // Still brighten moderately dark colors
+                        child.material.color.multiplyScalar(2);
                     }
-                });
-            });
-            pillars = [];
+                }
 
-            // Remove old barriers
-            barriers.forEach(barrier => scene.remove(barrier));
-            barriers = [];
+                // Adjust metalness and roughness for better appearance
+                if (child.material.metalness !== undefined) {
+                    // Reduce metalness to make it less reflective
+                    child.material.metalness = 0.1;
+                }
 
-            // Remove old golden ring
-            if (goldenRing) {
-                scene.remove(goldenRing);
-                goldenRing = null;
+                if (child.material.roughness !== undefined) {
+                    // Increase roughness for better diffuse lighting
+                    child.material.roughness = 0.9;
+                }
+
+                // Add emissive glow to make it visible even in shadows
+                if (child.material.emissive && child.material.color) {
+                    // Make it emit light based on its color
+                    child.material.emissive.copy(child.material.color);
+                    child.material.emissive.multiplyScalar(0.3); // 30% emissive
+                    child.material.emissiveIntensity = 0.5;
+                }
             }
+        }
+    });
+}
 
-            // Generate pillars NOW that the model is loaded
-            generatePillars();
+// Draw pillars with an obstacle model (null for box pillars) and rebuild the course around them
+function applyTowerModel(model) {
+    towerModel = model;
 
-            // Create boundary barriers
-            createBarriers();
+    // Pillars collide with the model's actual shape, box pillars use the default pillar hitbox
+    obstacleHitbox = model ? computeModelHitbox(model) : null;
+    getRunStates().forEach(state => GameCore.setObstacleHitbox(state, obstacleHitbox));
 
-            // Create golden ring at the end
-            createGoldenRing();
-        },
-        function (xhr) {
-            // Loading progress
-            console.log('Tower: ' + (xhr.loaded / xhr.total * 100) + '% loaded');
-        },
-        function (error) {
-            // Error handling
-            console.error('Error loading tower model:', error);
-            alert('Failed to load tower model. Using default pillars.');
-
-            // Generate pillars with fallback boxes
-            generatePillars();
-            createBarriers();
-            createGoldenRing();
-        }
-    );
+    // Draw pillars with the new model from now on
+    setPillarModel(model);
+    if (isEditorOpen()) return; // The editor draws its own course
+
+    // Remove old barriers
+    barriers.forEach(removeLevelObject);
+    barriers = [];
+
+    // Remove old golden ring
+    removeLevelObject(goldenRing);
+    goldenRing = null;
+
+    // Show the level's pillars NOW that the model is loaded
+    rebuildPillarMeshes();
+
+    // Create boundary barriers
+    createBarriers();
+
+    // Create golden ring at the end, and any extra rings along the way
+    createGoldenRing();
+    createCourseRings();
 }
 
+// Collide with a newly loaded drone or missile model's actual shape
+function onHazardModelLoaded(kind) {
+    hazardHitboxes[kind] = computeHazardHitbox(kind);
+    if (gameState) {
+        getRunStates().forEach(state => GameCore.setHazardHitbox(state, kind, hazardHitboxes[kind]));
+    }
+}
 
 // Create ground based on level theme
-function createGround(level = 1) {
-    // Remove existing ground if it exists
-    if (ground) {
-        scene.remove(ground);
-        ground.geometry.dispose();
-        ground.material.dispose();
-        ground = null;
-    }
+function createGround(level = getCurrentLevel()) {
+    // Remove existing ground (and its painted texture) if it exists
+    removeLevelObject(ground);
+    ground = null;
 
-    const theme = LEVEL_THEMES[level];
+    const theme = level.theme;
+    const length = Math.max(GROUND_MIN_LENGTH, level.distance + GROUND_PAST_FINISH);
+
+    // Ground texture has its own stream so it never shifts the pillar layout
+    const rng = createRng(deriveSeed(getRunSeed(), 'ground', level.number));
 
     // Create a texture based on the level theme
     const canvas = document.createElement('canvas');
@@ -399,13 +549,13 @@ function createGround(level = 1) {
     ctx.fillStyle = theme.groundColor;
     ctx.fillRect(0, 0, 512, 512);
 
-    // Add texture variation based on level
-    if (level === 1) { // Grass
+    // Add texture variation based on the level's ground style
+    if (theme.groundStyle === 'grass') {
         // Add grass texture variation
         for (let i = 0; i < 8000; i++) {
-            const x = Math.random() * 512;
-            const y = Math.random() * 512;
-            const shade = Math.random() * 0.3 + 0.7;
+            const x = rng() * 512;
+            const y = rng() * 512;
+            const shade = rng() * 0.3 + 0.7;
             const green = Math.floor(theme.groundVariation.g * shade);
             const red = Math.floor(theme.groundVariation.r * shade);
             const blue = Math.floor(theme.groundVariation.b * shade);
@@ -415,22 +565,22 @@ function createGround(level = 1) {
 
         // Add darker patches for realism
         for (let i = 0; i < 50; i++) {
-            const x = Math.random() * 512;
-            const y = Math.random() * 512;
-            const radius = Math.random() * 20 + 10;
+            const x = rng() * 512;
+            const y = rng() * 512;
+            const radius = rng() * 20 + 10;
             const gradient = ctx.createRadialGradient(x, y, 0, x, y, radius);
             gradient.addColorStop(0, 'rgba(45, 122, 31, 0.3)');
             gradient.addColorStop(1, 'rgba(45, 122, 31, 0)');
             ctx.fillStyle = gradient;
             ctx.fillRect(x - radius, y - radius, radius * 2, radius * 2);
         }
-    } else if (level === 2) { // Ice
+    } else if (theme.groundStyle === 'ice') {
         // Add ice cracks and texture
         for (let i = 0; i < 100; i++) {
-            const x = Math.random() * 512;
-            const y = Math.random() * 512;
-            const length = Math.random() * 50 + 20;
-            const angle = Math.random() * Math.PI * 2;
+            const x = rng() * 512;
+            const y = rng() * 512;
+            const length = rng() * 50 + 20;
+            const angle = rng() * Math.PI * 2;
             ctx.strokeStyle = 'rgba(180, 220, 240, 0.5)';
             ctx.lineWidth = 1;
             ctx.beginPath();
@@ -441,17 +591,17 @@ function createGround(level = 1) {
 
         // Add sparkle effect
         for (let i = 0; i < 3000; i++) {
-            const x = Math.random() * 512;
-            const y = Math.random() * 512;
+            const x = rng() * 512;
+            const y = rng() * 512;
             ctx.fillStyle = 'rgba(255, 255, 255, 0.3)';
             ctx.fillRect(x, y, 1, 1);
         }
-    } else if (level === 3) { // Desert
+    } else if (theme.groundStyle === 'desert') {
         // Add sand texture
         for (let i = 0; i < 10000; i++) {
-            const x = Math.random() * 512;
-            const y = Math.random() * 512;
-            const shade = Math.random() * 0.2 + 0.8;
+            const x = rng() * 512;
+            const y = rng() * 512;
+            const shade = rng() * 0.2 + 0.8;
             const r = Math.floor(theme.groundVariation.r * shade);
             const g = Math.floor(theme.groundVariation.g * shade);
             const b = Math.floor(theme.groundVariation.b * shade);
@@ -461,7 +611,7 @@ function createGround(level = 1) {
 
         // Add sand dunes (wavy patterns)
         for (let i = 0; i < 30; i++) {
-            const y = Math.random() * 512;
+            const y = rng() * 512;
             ctx.strokeStyle = 'rgba(200, 150, 100, 0.2)';
             ctx.lineWidth = 3;
             ctx.beginPath();
@@ -471,12 +621,12 @@ function createGround(level = 1) {
             }
             ctx.stroke();
         }
-    } else if (level === 4) { // Halloween
+    } else if (theme.groundStyle === 'halloween') {
         // Add dark purple texture with spooky patterns
         for (let i = 0; i < 5000; i++) {
-            const x = Math.random() * 512;
-            const y = Math.random() * 512;
-            const shade = Math.random() * 0.3 + 0.7;
+            const x = rng() * 512;
+            const y = rng() * 512;
+            const shade = rng() * 0.3 + 0.7;
             const r = Math.floor(theme.groundVariation.r * shade);
             const g = Math.floor(theme.groundVariation.g * shade);
             const b = Math.floor(theme.groundVariation.b * shade);
@@ -486,21 +636,21 @@ function createGround(level = 1) {
 
         // Add orange glowing cracks
         for (let i = 0; i < 50; i++) {
-            const x = Math.random() * 512;
-            const y = Math.random() * 512;
-            const radius = Math.random() * 15 + 5;
+            const x = rng() * 512;
+            const y = rng() * 512;
+            const radius = rng() * 15 + 5;
             const gradient = ctx.createRadialGradient(x, y, 0, x, y, radius);
             gradient.addColorStop(0, 'rgba(255, 136, 0, 0.4)');
             gradient.addColorStop(1, 'rgba(255, 136, 0, 0)');
             ctx.fillStyle = gradient;
             ctx.fillRect(x - radius, y - radius, radius * 2, radius * 2);
         }
-    } else if (level === 5) { // Above clouds
+    } else if (theme.groundStyle === 'clouds') {
         // Create fluffy cloud texture
         for (let i = 0; i < 100; i++) {
-            const x = Math.random() * 512;
-            const y = Math.random() * 512;
-            const radius = Math.random() * 40 + 20;
+            const x = rng() * 512;
+            const y = rng() * 512;
+            const radius = rng() * 40 + 20;
             const gradient = ctx.createRadialGradient(x, y, 0, x, y, radius);
             gradient.addColorStop(0, 'rgba(255, 255, 255, 1)');
             gradient.addColorStop(0.5, 'rgba(240, 240, 255, 0.8)');
@@ -513,9 +663,9 @@ function createGround(level = 1) {
 
         // Add soft shadows for depth
         for (let i = 0; i < 50; i++) {
-            const x = Math.random() * 512;
-            const y = Math.random() * 512;
-            const radius = Math.random() * 30 + 10;
+            const x = rng() * 512;
+            const y = rng() * 512;
+            const radius = rng() * 30 + 10;
             ctx.fillStyle = 'rgba(200, 200, 220, 0.2)';
             ctx.beginPath();
             ctx.arc(x, y, radius, 0, Math.PI * 2);
@@ -526,110 +676,54 @@ function createGround(level = 1) {
     const groundTexture = new THREE.CanvasTexture(canvas);
     groundTexture.wrapS = THREE.RepeatWrapping;
     groundTexture.wrapT = THREE.RepeatWrapping;
-    groundTexture.repeat.set(100, 160);
+    groundTexture.repeat.set(100, length / 100); // One tile every 100m, like the width
 
-    const groundGeometry = new THREE.PlaneGeometry(10000, 16000, 100, 100);
+    const groundGeometry = new THREE.PlaneGeometry(10000, length, 100, 100);
     const groundMaterial = new THREE.MeshStandardMaterial({
         map: groundTexture,
-        roughness: level === 2 ? 0.2 : 0.8, // Ice is smoother
-        metalness: level === 2 ? 0.3 : 0.1, // Ice is more reflective
+        roughness: theme.groundRoughness,
+        metalness: theme.groundMetalness,
         side: THREE.DoubleSide
     });
 
     ground = new THREE.Mesh(groundGeometry, groundMaterial);
     ground.rotation.x = Math.PI / 2;
     ground.position.y = 0;
-    ground.position.z = 8000; // Move ground forward so it extends from 0 to 16000
+    ground.position.z = length / 2; // Move ground forward so it extends from 0 to its full length
     ground.receiveShadow = true;
-    scene.add(ground);
+    addLevelObject(ground);
 }
 
-// Create a pillar at a specific position
-function createPillar(xPosition, zPosition) {
-    const pillarGroup = new THREE.Group();
-
-    // Check if tower model is loaded
-    if (towerModel) {
-        // Clone the tower model
-        const towerClone = towerModel.clone();
-
-        // Enable shadows for all meshes in the cloned model
-        towerClone.traverse((child) => {
-            if (child.isMesh) {
-                child.castShadow = true;
-                child.receiveShadow = true;
-            }
-        });
-
-        // Position the tower
-        towerClone.position.set(xPosition, 0, zPosition);
-
-        // You can adjust the scale if needed
-        // towerClone.scale.set(1, 1, 1);
-
-        pillarGroup.add(towerClone);
-    } else {
-        // Fallback to default pillar if model not loaded yet
-        const pillarGeometry = new THREE.BoxGeometry(PILLAR_WIDTH, PILLAR_HEIGHT, PILLAR_WIDTH);
-        const pillarMaterial = new THREE.MeshStandardMaterial({
-            color: 0x666666,
-            roughness: 0.7,
-            metalness: 0.3
-        });
-
-        const pillar = new THREE.Mesh(pillarGeometry, pillarMaterial);
-        pillar.position.set(xPosition, PILLAR_HEIGHT / 2, zPosition);
-        pillar.castShadow = true;
-        pillar.receiveShadow = true;
-
-        // Add a glowing top
-        const topGeometry = new THREE.BoxGeometry(PILLAR_WIDTH + 0.2, 0.5, PILLAR_WIDTH + 0.2);
-        const topMaterial = new THREE.MeshStandardMaterial({
-            color: 0xff0000,
-            emissive: 0xff0000,
-            emissiveIntensity: 0.5,
-            roughness: 0.3,
-            metalness: 0.7
-        });
-        const top = new THREE.Mesh(topGeometry, topMaterial);
-        top.position.set(xPosition, PILLAR_HEIGHT + 0.25, zPosition);
-        top.castShadow = true;
-        top.receiveShadow = true;
-
-        pillarGroup.add(pillar);
-        pillarGroup.add(top);
-    }
-
-    pillarGroup.position.set(0, 0, 0);
-    pillarGroup.userData = { xPosition, zPosition, passed: false };
-
-    scene.add(pillarGroup);
-    pillars.push(pillarGroup);
+// Show every pillar currently in the simulation (drawn by pillar-renderer.js)
+function rebuildPillarMeshes() {
+    hideAllPillars();
+    clearPillarUsers();
+    getRunStates().forEach(state => state.pillars.all().forEach(addPillarUser));
 }
 
-// Generate random pillars across the map
-function generatePillars() {
-    // Generate pillars scattered across a wide area
-    // Start at 60m to give player a safe zone at the beginning
-    for (let z = 60; z < levelDistance - 100; z += PILLAR_SPACING) {
-        // Random number of pillars per row (1-3)
-        const numPillars = Math.floor(Math.random() * 3) + 1;
+// Show every drone and missile currently in the simulation (drawn by hazard-renderer.js)
+function rebuildHazardObjects() {
+    hideAllHazards();
+    getRunStates().forEach((state, player) => {
+        state.hazards.forEach(hazard => showHazard(hazard, getPlayerLayer(player)));
+    });
+}
 
-        for (let i = 0; i < numPillars; i++) {
-            // Random X position across the width
-            const xPosition = (Math.random() - 0.5) * 80; // -40 to 40
-            createPillar(xPosition, z);
-        }
-    }
+// Show every pickup waiting to be collected (drawn by pickup-renderer.js)
+function rebuildPickupObjects() {
+    hideAllPickups();
+    getRunStates().forEach((state, player) => {
+        state.pickups.forEach(pickup => showPickup(pickup, getPlayerLayer(player)));
+    });
 }
 
 // Create invisible barrier walls to constrain plane movement
 function createBarriers() {
     // Remove existing barriers if any
-    barriers.forEach(barrier => scene.remove(barrier));
+    barriers.forEach(removeLevelObject);
     barriers = [];
 
-    const BARRIER_X_POSITION = 42; // Slightly beyond the pillar spawn area (-40 to 40)
+    const BARRIER_X_POSITION = GameCore.BARRIER_X; // Slightly beyond the pillar spawn area (-40 to 40)
     const barrierHeight = 100; // Tall enough to prevent flying over
     const barrierDepth = levelDistance; // Extends the full length of the level
 
@@ -646,7 +740,7 @@ function createBarriers() {
     leftBarrier.position.set(-BARRIER_X_POSITION, barrierHeight / 2, barrierDepth / 2);
     leftBarrier.visible = false; // Make invisible
     leftBarrier.userData = { isBarrier: true, xPosition: -BARRIER_X_POSITION };
-    scene.add(leftBarrier);
+    addLevelObject(leftBarrier);
     barriers.push(leftBarrier);
 
     // Create right barrier
@@ -655,24 +749,73 @@ function createBarriers() {
     rightBarrier.position.set(BARRIER_X_POSITION, barrierHeight / 2, barrierDepth / 2);
     rightBarrier.visible = false; // Make invisible
     rightBarrier.userData = { isBarrier: true, xPosition: BARRIER_X_POSITION };
-    scene.add(rightBarrier);
+    addLevelObject(rightBarrier);
     barriers.push(rightBarrier);
 }
 
 // Create golden ring at the end of the level
 function createGoldenRing() {
     // Remove existing ring if any
-    if (goldenRing) {
-        scene.remove(goldenRing);
+    removeLevelObject(goldenRing);
+
+    // Endless runs have no finish
+    if (gameState.endless) {
+        goldenRing = null;
+        return;
     }
 
+    const ringGroup = createRingModel(0xFFD700, 0x00ff00); // Gold with a green safe zone
+
+    // Position at the end of the level
+    ringGroup.position.set(gameState.ring.x, gameState.ring.y, gameState.ring.z);
+
+    goldenRing = addLevelObject(ringGroup);
+}
+
+// Create the level's extra and checkpoint rings that haven't been flown through yet
+function createCourseRings() {
+    removeCourseRings();
+
+    // Blue extra rings and orange checkpoints, so neither can be mistaken for the finish
+    // Split-screen players each fly through their own copy
+    getRunStates().forEach((state, player) => {
+        state.rings.forEach(bonusRing => addCourseRing(bonusRing, 0x00d4ff, getPlayerLayer(player)));
+        state.checkpoints.forEach(checkpoint => addCourseRing(checkpoint, 0xff8800, getPlayerLayer(player)));
+    });
+}
+
+function addCourseRing(courseRing, color, layer) {
+    if (courseRing.passed) return;
+
+    const ringGroup = createRingModel(color, 0xffffff);
+    setObjectLayer(ringGroup, layer);
+    ringGroup.position.set(courseRing.x, courseRing.y, courseRing.z);
+    courseRingObjects.set(courseRing, addLevelObject(ringGroup));
+}
+
+// Stop drawing a ring once it's been flown through
+function removeCourseRing(courseRing) {
+    const ringGroup = courseRingObjects.get(courseRing);
+    if (!ringGroup) return;
+
+    removeLevelObject(ringGroup);
+    courseRingObjects.delete(courseRing);
+}
+
+function removeCourseRings() {
+    courseRingObjects.forEach(removeLevelObject);
+    courseRingObjects.clear();
+}
+
+// A ring facing along the course: the outer rim crashes, the inner circle is the way through
+function createRingModel(outerColor, innerColor) {
     const ringGroup = new THREE.Group();
 
     // Outer ring
-    const outerGeometry = new THREE.TorusGeometry(8, 0.5, 16, 32);
+    const outerGeometry = new THREE.TorusGeometry(GameCore.RING_OUTER_RADIUS, 0.5, 16, 32);
     const outerMaterial = new THREE.MeshStandardMaterial({
-        color: 0xFFD700, // Gold
-        emissive: 0xFFD700,
+        color: outerColor,
+        emissive: outerColor,
         emissiveIntensity: 0.5,
         roughness: 0.2,
         metalness: 0.9
@@ -684,10 +827,10 @@ function createGoldenRing() {
     ringGroup.add(outerRing);
 
     // Inner safe zone indicator
-    const innerGeometry = new THREE.TorusGeometry(6, 0.3, 16, 32);
+    const innerGeometry = new THREE.TorusGeometry(GameCore.RING_INNER_RADIUS, 0.3, 16, 32);
     const innerMaterial = new THREE.MeshStandardMaterial({
-        color: 0x00ff00, // Green
-        emissive: 0x00ff00,
+        color: innerColor,
+        emissive: innerColor,
         emissiveIntensity: 0.3,
         transparent: true,
         opacity: 0.6,
@@ -700,31 +843,26 @@ function createGoldenRing() {
     innerRing.receiveShadow = true;
     ringGroup.add(innerRing);
 
-    // Position at the end of the level
-    ringGroup.position.set(0, 8, levelDistance - 50);
-    ringGroup.userData = { zPosition: levelDistance - 50 };
-
-    scene.add(ringGroup);
-    goldenRing = ringGroup;
+    return ringGroup;
 }
 
-// Update scene theme based on level
-function updateSceneTheme(level = 1) {
-    const theme = LEVEL_THEMES[level];
+// Update scene theme based on level, resolves once the sky background has loaded
+function updateSceneTheme(level = getCurrentLevel()) {
+    const theme = level.theme;
+    setAmbientTheme(theme);
+    let skyLoaded = Promise.resolve();
 
     // Update sky background (image or solid color)
     if (theme.skyBackground) {
         // Load sky background image
-        const textureLoader = new THREE.TextureLoader();
-        textureLoader.load(
-            theme.skyBackground,
+        skyLoaded = loadTexture(theme.skyBackground).then(
             function (texture) {
+                // The theme changed again while the image loaded
+                if (level.theme !== theme) return;
+
                 // Create a large plane for the sky background at the horizon
-                // Remove old sky plane if it exists
-                const oldSkyPlane = scene.getObjectByName('skyBackgroundPlane');
-                if (oldSkyPlane) {
-                    scene.remove(oldSkyPlane);
-                }
+                // Remove old sky plane if it exists (the image stays cached)
+                removeLevelObject(scene.getObjectByName('skyBackgroundPlane'));
 
                 // Create a huge plane positioned at the horizon
                 const skyGeometry = new THREE.PlaneGeometry(50000, 10000);
@@ -737,15 +875,14 @@ function updateSceneTheme(level = 1) {
                 skyPlane.name = 'skyBackgroundPlane';
 
                 // Position it far away at the horizon, at ground level
-                skyPlane.position.set(0, 5000, 15000); // High up and far away
+                skyPlane.position.set(0, 5000, Math.max(SKY_MIN_DISTANCE, level.distance)); // High up and far away
                 skyPlane.rotation.x = 0; // Vertical
 
-                scene.add(skyPlane);
+                addLevelObject(skyPlane);
 
                 // Set scene background to theme color as fallback
                 scene.background = new THREE.Color(theme.skyColor);
             },
-            undefined,
             function (error) {
                 console.error('Error loading sky background:', error);
                 // Fallback to solid color
@@ -757,10 +894,7 @@ function updateSceneTheme(level = 1) {
         scene.background = new THREE.Color(theme.skyColor);
 
         // Remove sky plane if it exists
-        const oldSkyPlane = scene.getObjectByName('skyBackgroundPlane');
-        if (oldSkyPlane) {
-            scene.remove(oldSkyPlane);
-        }
+        removeLevelObject(scene.getObjectByName('skyBackgroundPlane'));
     }
 
     // Update fog
@@ -771,77 +905,229 @@ function updateSceneTheme(level = 1) {
     if (ambientLight) {
         ambientLight.color = new THREE.Color(theme.ambientLight);
     }
+
+    return skyLoaded;
 }
 
 
 // Handle window resize
 function onWindowResize() {
-    camera.aspect = window.innerWidth / window.innerHeight;
-    camera.updateProjectionMatrix();
+    resizeSplitScreen(); // Fits player one's camera to the whole screen outside split-screen races
     renderer.setSize(window.innerWidth, window.innerHeight);
 }
 
 // Handle key down
 function onKeyDown(event) {
-    const key = event.key.toLowerCase();
-    keys[key] = true;
+    if (isTypingInField(event)) return;
 
-    // Toggle first-person view with 'C' key
-    if (key === 'c' && plane) {
-        firstPersonView = !firstPersonView;
+    if (isEditorOpen()) {
+        onEditorKeyDown(event);
+        return;
+    }
 
-        // Make plane invisible in first-person, visible in third-person
-        plane.visible = !firstPersonView;
+    const action = handleKeyDown(event);
+    if (action) {
+        onActionPressed(action);
     }
 }
 
+// Run a one-shot action from a key or controller button
+function onActionPressed(action) {
+    if (action === 'toggleView') {
+        toggleView();
+    } else if (action === 'pause') {
+        if (isSettingsOpen()) {
+            closeSettings();
+        } else if (gamePaused) {
+            resumeGame();
+        } else {
+            pauseGame();
+        }
+    }
+}
+
+// Losing focus pauses the game (and key-ups won't arrive while unfocused)
+function onWindowBlur() {
+    releaseAllKeys();
+    pauseGame();
+}
+
+// Freeze the simulation and show the pause menu
+function pauseGame() {
+    if (!gameStarted || gameOver || gamePaused) return;
+
+    gamePaused = true;
+    releaseAllKeys();
+    document.getElementById('pause-menu').classList.remove('hidden');
+}
+
+// Hide the pause menu and carry on flying
+function resumeGame() {
+    if (!gamePaused) return;
+
+    gamePaused = false;
+    document.getElementById('pause-menu').classList.add('hidden');
+    closeSettings();
+
+    // Time spent paused must not be simulated
+    lastFrameTime = null;
+}
+
+// Switch between the chase camera and first-person view
+function toggleView() {
+    if (!plane) return;
+
+    firstPersonView = !firstPersonView;
+
+    // Make plane invisible in first-person, visible in third-person
+    plane.visible = !firstPersonView;
+
+    // Remember the preferred view for next time
+    setSetting('firstPersonView', firstPersonView);
+}
+
 // Handle key up
+// (even in a text box, a key held down before it took the focus still has to be let go)
 function onKeyUp(event) {
-    keys[event.key.toLowerCase()] = false;
+    if (isEditorOpen()) {
+        onEditorKeyUp(event);
+        return;
+    }
+    handleKeyUp(event);
 }
 
 // Select level
 function selectLevel(event) {
-    const levelNum = parseInt(event.target.dataset.level);
+    startLevel(parseInt(event.currentTarget.dataset.level));
+}
+
+// Load and start a level with the current course seed, returns false if it can't be played
+function startLevel(levelNum) {
     const level = LEVELS[levelNum - 1];
+    if (!level) {
+        alert(`Level ${levelNum} does not exist.`);
+        return false;
+    }
 
     // Only check if locked when LOCK_LEVEL is true
     if (LOCK_LEVEL && !level.unlocked) {
         alert(`Level ${levelNum} is locked! Complete level ${levelNum - 1} first.`);
-        return;
+        return false;
     }
 
     currentLevel = levelNum;
     levelDistance = level.distance;
+    updateSeedDisplay();
+
+    // Free everything built for the previous level
+    clearLevelScene();
 
     // Apply level theme before starting
-    updateSceneTheme(currentLevel);
-    createGround(currentLevel);
+    updateSceneTheme();
+    createGround();
 
-    // Remove old pillars
-    pillars.forEach(pillar => scene.remove(pillar));
-    pillars = [];
+    // Fresh simulation for the selected level
+    gameState = createLevelState();
+    prepareRun(null);
+    rebuildPillarMeshes();
+    rebuildHazardObjects();
+    rebuildPickupObjects();
 
-    // Reload tower model for the selected level (will generate pillars, barriers, and golden ring)
+    // Reload tower model for the selected level (will rebuild pillars, barriers, and golden ring)
     loadTowerModel();
 
     // Hide start screen
     document.getElementById('start-screen').classList.add('hidden');
 
-    // Start the game
-    gameStarted = true;
+    // Start the game once the level's models and sky are ready
     gameOver = false;
+    startWhenAssetsLoaded();
+    return true;
 }
 
-// Start game
+// Start flying the new run once nothing is loading (the loading screen shows progress meanwhile)
+function startWhenAssetsLoaded() {
+    const run = gameState;
+    gameStarted = false;
+
+    waitForAssets().then(() => {
+        // The run was replaced or left while loading
+        if (gameState !== run || gameOver) return;
+
+        gameStarted = true;
+        lastFrameTime = null; // Loading time isn't simulated
+    });
+}
+
+// Fly the level open in the editor, starting startZ metres along the course (nothing is saved)
+function startTestFlight(startZ) {
+    testStartZ = startZ;
+    levelDistance = customLevel.distance;
+    restartLevel();
+}
+
+// Go back to the level editor when a test flight ends
+function finishTestFlight(message) {
+    gameOver = false;
+    gameStarted = false;
+    gamePaused = false;
+    document.getElementById('game-over').classList.add('hidden');
+    document.getElementById('pause-menu').classList.add('hidden');
+
+    returnToEditor(message);
+}
+
+// Start game, returns false if the level can't be played
 function startGame() {
-    gameStarted = true;
-    document.getElementById('start-screen').classList.add('hidden');
+    // A course code picks its own level, otherwise play the current one
+    const course = parseCourseCode(document.getElementById('seed-input').value);
+    if (course) {
+        setCourseSeed(course.seed);
+    }
+    const started = startLevel(course && course.level ? course.level : currentLevel);
     updateLevelDisplay();
+    return started;
+}
+
+// Change the seed used to generate courses
+function setCourseSeed(seed) {
+    courseSeed = seed >>> 0;
+    updateSeedDisplay();
+}
+
+// Handle a seed or course code typed on the start screen
+function onSeedInputChanged(event) {
+    const course = parseCourseCode(event.target.value);
+    if (!course) {
+        updateSeedDisplay();
+        return;
+    }
+
+    setCourseSeed(course.seed);
+    if (course.level && LEVELS[course.level - 1]) {
+        document.getElementById('start-btn').textContent = `Start Level ${course.level}`;
+        document.getElementById('course-code').textContent = encodeCourseCode(course.level, getRunSeed());
+    }
+}
+
+// Show the current seed and course code on the start and game over screens
+// The code is for the course actually flown, so time trials show the fixed time trial seed's code
+function updateSeedDisplay() {
+    const code = encodeCourseCode(currentLevel, getRunSeed());
+    document.getElementById('seed-input').value = formatSeed(courseSeed);
+    document.getElementById('course-code').textContent = code;
+    document.getElementById('final-course-code').textContent = code;
+    document.getElementById('start-btn').textContent =
+        `${timeTrialMode ? 'Time Trial' : 'Start'} Level ${currentLevel}`;
+
+    // The host's choice is the course of the next online race
+    sendRaceSetup();
 }
 
 // Restart game
 function restartGame() {
+    leaveOnlineRace();
+
     // Check if we're continuing to next level (button says "Continue")
     const restartBtn = document.getElementById('restart-btn');
     const gameOverTitle = document.getElementById('game-over').querySelector('h1');
@@ -850,6 +1136,7 @@ function restartGame() {
         // Advance to next level
         currentLevel++;
         levelDistance = LEVELS[currentLevel - 1].distance;
+        updateSeedDisplay();
     }
 
     // Reset button text and title color for next time
@@ -857,300 +1144,460 @@ function restartGame() {
     gameOverTitle.textContent = 'Game Over!';
     gameOverTitle.style.color = '';
 
+    restartLevel();
+}
+
+// Start the current level again from the beginning (flying a recorded run if one is given)
+function restartLevel(playback = null) {
     // Reset game state
     gameOver = false;
-    gameStarted = true;
-    speed = INITIAL_SPEED;
-    score = 0;
-    distance = 0;
-    planePosition = { x: 0, y: 5, z: 0 };
-    planeRotation = { x: 0, y: 0, z: 0 };
+    gamePaused = false;
+    gameState = createLevelState(playback);
+    prepareRun(playback);
     cameraAngle = 0; // Reset camera angle
-    firstPersonView = false; // Reset to third-person view
-
-    // Reset plane position and rotation
-    plane.position.set(0, 5, 0);
-    // Apply permanent rotation from configuration
-    plane.rotation.set(
-        PLANE_PERMANENT_ROTATION.x,
-        PLANE_PERMANENT_ROTATION.y,
-        PLANE_PERMANENT_ROTATION.z
-    );
-    // Ensure plane is visible
-    plane.visible = true;
+    firstPersonView = getSetting('firstPersonView'); // Back to the preferred view
 
-    // Remove all pillars
-    pillars.forEach(pillar => scene.remove(pillar));
-    pillars = [];
+    // Endless runs start again with the first stage's look
+    if (endlessMode) {
+        setEndlessTheme(0);
+    }
+
+    // Reset plane position and rotation (the model's own rotation is inside the group)
+    if (plane) {
+        plane.position.set(0, 5, 0);
+        plane.rotation.set(0, 0, 0);
+        // Plane is only hidden in first-person view
+        plane.visible = !firstPersonView;
+    }
+
+    // Free everything built for the previous run, then show the new level's pillars and hazards
+    clearLevelScene();
+    rebuildPillarMeshes();
+    rebuildHazardObjects();
+    rebuildPickupObjects();
 
     // Update level theme (sky, fog, ambient light)
-    updateSceneTheme(currentLevel);
+    updateSceneTheme();
 
     // Recreate ground with level theme
-    createGround(currentLevel);
+    createGround();
 
-    // Reload tower model for the new level (will generate pillars after loading)
+    // Reload tower model for the new level (will rebuild pillars after loading)
     loadTowerModel();
 
-    // Hide game over screen
+    // Hide game over screen and pause menu
     document.getElementById('game-over').classList.add('hidden');
+    document.getElementById('pause-menu').classList.add('hidden');
 
     // Update UI
     updateUI();
     updateLevelDisplay();
+
+    // Fly once the level's models and sky are ready
+    startWhenAssetsLoaded();
+}
+
+// Carry on the crashed run from its last checkpoint, using up a life
+function retryFromCheckpoint() {
+    if (!gameOver || !GameCore.canRespawn(gameState)) return;
+
+    if (currentReplay) recordReplayRespawn(currentReplay);
+    respawnRun();
+
+    gameOver = false;
+    gameStarted = true;
+    document.getElementById('game-over').classList.add('hidden');
+
+    // Time spent on the game over screen must not be simulated
+    lastFrameTime = null;
+}
+
+// Put the crashed run back at its last checkpoint and redraw the course as it was there
+function respawnRun() {
+    GameCore.respawnAtCheckpoint(gameState);
+    cameraAngle = 0;
+
+    rebuildPillarMeshes();
+    rebuildHazardObjects();
+    rebuildPickupObjects();
+    createCourseRings();
+    updateUI();
 }
 
 // Return to main menu
 function returnToMainMenu() {
+    // Test flights go back to the level editor instead
+    if (customLevel) {
+        finishTestFlight('Test flight stopped.');
+        return;
+    }
+
     // Reset game state
+    if (endlessMode) {
+        stopEndless();
+    }
+    if (splitScreenMode) {
+        stopSplitScreen();
+    }
+    leaveOnlineRace();
     gameOver = false;
     gameStarted = false;
-    speed = INITIAL_SPEED;
-    score = 0;
-    distance = 0;
-    planePosition = { x: 0, y: 5, z: 0 };
-    planeRotation = { x: 0, y: 0, z: 0 };
+    gamePaused = false;
+    gameState = createLevelState();
     cameraAngle = 0; // Reset camera angle
-    firstPersonView = false; // Reset to third-person view
+    firstPersonView = getSetting('firstPersonView'); // Back to the preferred view
+
+    // Nothing to record, watch or race on the menu
+    currentReplay = null;
+    replayPlayback = null;
+    stopGhost();
+    document.getElementById('replay-indicator').classList.add('hidden');
 
     // Reset plane position
     if (plane) {
         plane.position.set(0, 5, 0);
-        plane.rotation.set(
-            PLANE_PERMANENT_ROTATION.x,
-            PLANE_PERMANENT_ROTATION.y,
-            PLANE_PERMANENT_ROTATION.z
-        );
-        // Ensure plane is visible
-        plane.visible = true;
+        plane.rotation.set(0, 0, 0);
+        // Plane is only hidden in first-person view
+        plane.visible = !firstPersonView;
     }
 
-    // Remove all pillars
-    pillars.forEach(pillar => scene.remove(pillar));
-    pillars = [];
+    // Free everything built for the run, and show the level's scenery behind the menu
+    clearLevelScene();
+    updateSceneTheme();
+    createGround();
 
-    // Hide game over screen
+    // Hide game over screen and pause menu
     document.getElementById('game-over').classList.add('hidden');
+    document.getElementById('pause-menu').classList.add('hidden');
 
     // Show start screen with level selection
     document.getElementById('start-screen').classList.remove('hidden');
 
-    // Update level buttons
+    // Update level buttons, and the course code now the run's mode is over
     updateLevelButtons();
+    updateEndlessButton();
+    updateSeedDisplay();
 }
 
-// Update game state
-function update() {
-    if (!gameStarted || gameOver) return;
-
-    // Handle speed controls
-    if (keys['w']) {
-        speed = Math.min(speed + 0.01, MAX_SPEED);
-    }
-    if (keys['s']) {
-        speed = Math.max(speed - 0.01, MIN_SPEED);
+// Create a fresh simulation state for the current level and seed
+// A recorded run being watched brings its own flight model, handling and collision volumes
+function createLevelState(playback = null) {
+    if (playback) {
+        return GameCore.createGameState({
+            level: currentLevel,
+            levelDistance: levelDistance,
+            seed: courseSeed,
+            flightModel: playback.flightModel,
+            aircraft: playback.aircraft,
+            hazards: playback.hazards,
+            pickups: playback.pickups,
+            course: playback.course,
+            ring: playback.ring,
+            obstacles: playback.obstacles,
+            rings: playback.rings,
+            checkpoints: playback.checkpoints,
+            lives: playback.lives,
+            planeHitbox: playback.planeHitbox,
+            obstacleHitbox: playback.obstacleHitbox,
+            hazardHitboxes: playback.hazardHitboxes
+        });
     }
 
-    // Handle steering (D = right, A = left)
-    if (keys['d']) {
-        planePosition.x -= 0.3;
-        planeRotation.z = Math.min(planeRotation.z + 0.02, 0.3);
-    } else if (keys['a']) {
-        planePosition.x += 0.3;
-        planeRotation.z = Math.max(planeRotation.z - 0.02, -0.3);
-    } else {
-        // Return to neutral
-        planeRotation.z *= 0.9;
-    }
+    const level = getCurrentLevel();
+    return GameCore.createGameState({
+        level: level.number,
+        levelDistance: levelDistance,
+        seed: getRunSeed(),
+        flightModel: getSetting('flightModel'),
+        aircraft: getSelectedAircraft().stats,
+        hazards: level.hazards,
+        pickups: level.pickups,
+        course: level.course,
+        ring: level.ring,
+        obstacles: level.obstacles,
+        rings: level.rings,
+        checkpoints: level.checkpoints,
+        lives: level.lives,
+        endless: endlessMode,
+        startZ: customLevel ? testStartZ : 0,
+        planeHitbox: planeHitbox,
+        obstacleHitbox: obstacleHitbox,
+        hazardHitboxes: hazardHitboxes
+    });
+}
 
-    // Handle pitch (up/down)
-    if (keys['arrowup']) {
-        planePosition.y = Math.max(planePosition.y - 0.1, 1);
-        planeRotation.x = Math.min(planeRotation.x + 0.02, 0.3);
-    } else if (keys['arrowdown']) {
-        planePosition.y = Math.min(planePosition.y + 0.1, 15);
-        planeRotation.x = Math.max(planeRotation.x - 0.02, -0.3);
+// Record the run about to start, or play back a recorded one, racing the course's best run
+function prepareRun(playback) {
+    if (playback) {
+        replayPlayback = createReplayReader(playback);
+        currentReplay = null;
+        stopGhost();
+    } else if (customLevel || endlessMode || isTimeTrialRun() || splitScreenMode) {
+        // Test flights of the edited level, endless runs (which could go on for hours), time trials
+        // (on their own fixed course) and split-screen races aren't recorded
+        replayPlayback = null;
+        currentReplay = null;
+        stopGhost();
     } else {
-        // Return to neutral
-        planeRotation.x *= 0.9;
+        replayPlayback = null;
+        currentReplay = createReplay({
+            level: currentLevel,
+            levelDistance: levelDistance,
+            seed: courseSeed,
+            aircraftId: getSelectedAircraft().id,
+            flightModel: gameState.flightModel,
+            aircraft: getSelectedAircraft().stats,
+            hazards: getCurrentLevel().hazards,
+            pickups: getCurrentLevel().pickups,
+            course: getCurrentLevel().course,
+            ring: getCurrentLevel().ring,
+            obstacles: getCurrentLevel().obstacles,
+            rings: getCurrentLevel().rings,
+            checkpoints: getCurrentLevel().checkpoints,
+            lives: getCurrentLevel().lives,
+            simulationRate: GameCore.SIMULATION_RATE
+        });
+        startGhost(getBestReplay(currentLevel, courseSeed));
     }
 
-    // Handle camera rotation around the plane (left/right arrows)
-    if (keys['arrowright']) {
-        cameraAngle += 0.02; // Rotate camera clockwise around plane
-    } else if (keys['arrowleft']) {
-        cameraAngle -= 0.02; // Rotate camera counter-clockwise around plane
+    document.getElementById('replay-indicator').classList.toggle('hidden', !playback);
+    resetTimeTrial();
+    resetSecondPlayer();
+}
+
+// Fly the saved best run of the current course again
+function watchBestReplay() {
+    const replay = getBestReplay(currentLevel, courseSeed);
+    if (replay) {
+        leaveOnlineRace();
+        restartLevel(replay);
     }
+}
 
-    // Update plane position and rotation
-    plane.position.x = planePosition.x;
-    plane.position.y = planePosition.y;
-    plane.rotation.z = planeRotation.z;
-    plane.rotation.x = planeRotation.x;
+// Save the finished run if it's the best on this course
+// The recording carries on if the run is retried from a checkpoint, and is saved again when that ends
+function saveRunReplay() {
+    if (!currentReplay) return;
 
-    // Move plane forward
-    planePosition.z += speed;
-    plane.position.z = planePosition.z;
+    finishReplay(currentReplay, gameState);
+    saveReplayIfBest(currentReplay);
+}
 
-    // Update distance
-    distance += speed;
+// Offer the best run of the course on the game over screen
+function updateWatchReplayButton() {
+    const hasReplay = !endlessMode && !isTimeTrialRun() && !!getBestReplay(currentLevel, courseSeed);
+    document.getElementById('watch-replay-btn').classList.toggle('hidden', !hasReplay);
+}
 
-    // Check which pillars have been passed
-    pillars.forEach((pillar) => {
-        if (!pillar.userData.passed && pillar.userData.zPosition < plane.position.z) {
-            pillar.userData.passed = true;
-            score += 10;
-        }
-    });
+// Turn the held keys and controller sticks into simulation input
+function readInput() {
+    const throttle = getActionAxis('throttleDown', 'throttleUp');
+    const steer = getActionAxis('steerLeft', 'steerRight');
+    const pitch = getActionAxis('pitchUp', 'pitchDown'); // Positive dives
+    const pitchDirection = getSetting('invertPitch') ? -1 : 1;
+
+    // Keys win while held, otherwise the controller's analog values are used
+    return {
+        throttle: throttle,
+        speedTarget: throttle ? null : gamepadState.speedTarget,
+        steer: steer || gamepadState.steer,
+        pitch: (pitch || gamepadState.pitch) * pitchDirection
+    };
+}
 
-    // Check collisions
-    checkCollisions();
+// Advance the game by one fixed step of dt seconds
+function update(dt) {
+    if (!gameStarted || gameOver || gamePaused) return;
 
-    // Generate more pillars if needed
-    const furthestPillar = pillars.reduce((max, p) =>
-        p.userData.zPosition > max ? p.userData.zPosition : max, 0);
+    // Handle camera rotation around the plane (positive is clockwise)
+    const orbit = getActionAxis('cameraLeft', 'cameraRight') || gamepadState.cameraOrbit; // Keys or right stick
+    cameraAngle += CAMERA_ORBIT_RATE * orbit * dt;
 
-    if (furthestPillar < plane.position.z + 200) {
-        // Generate more pillars ahead
-        for (let z = furthestPillar + PILLAR_SPACING; z < plane.position.z + 500; z += PILLAR_SPACING) {
-            const numPillars = Math.floor(Math.random() * 3) + 1;
-            for (let i = 0; i < numPillars; i++) {
-                const xPosition = (Math.random() - 0.5) * 80;
-                createPillar(xPosition, z);
-            }
-        }
+    // Recorded runs replay their inputs, otherwise the player's input is recorded as it's used
+    let input;
+    if (replayPlayback) {
+        input = readReplayInput(replayPlayback) || GameCore.NO_INPUT;
+    } else {
+        input = quantizeInput(readInput());
+        if (currentReplay) recordReplayInput(currentReplay, input);
     }
+    setAudioThrottle(input.speedTarget === null ? input.throttle : input.speedTarget * 2 - 1);
 
-    // Remove pillars that are far behind the plane
-    for (let i = pillars.length - 1; i >= 0; i--) {
-        if (pillars[i].userData.zPosition < plane.position.z - 100) {
-            scene.remove(pillars[i]);
-            pillars.splice(i, 1);
-        }
-    }
+    // Step the simulation and react to what happened
+    const events = GameCore.stepGame(gameState, input, dt);
+    stepGhost(dt);
+    updateTimeTrial();
 
-    // Check if plane reached the golden ring
-    if (goldenRing && plane.position.z >= goldenRing.userData.zPosition - 2 &&
-        plane.position.z <= goldenRing.userData.zPosition + 2) {
+    // Watched runs retry from checkpoints where the player did, instead of ending
+    if (replayPlayback && readReplayRespawn(replayPlayback)) {
+        events.filter(event => event.type !== 'crash').forEach(handleGameEvent);
+        respawnRun();
+    } else {
+        events.forEach(handleGameEvent);
+    }
+    stepSecondPlayer(dt);
+    sendPlaneSnapshot();
 
-        // Check if plane is in the center of the ring (within inner green circle)
-        const distanceFromCenter = Math.sqrt(
-            Math.pow(plane.position.x - goldenRing.position.x, 2) +
-            Math.pow(plane.position.y - goldenRing.position.y, 2)
-        );
+    // Update UI
+    updateUI();
+}
 
-        if (distanceFromCenter <= 6) {
-            // Success! Passed through the ring
-            completeLevel();
-        } else if (distanceFromCenter > 6 && distanceFromCenter < 8) {
-            // Hit the outer ring - game over
-            endGame();
-        }
+// Keep the scene and screens in sync with simulation events
+function handleGameEvent(event) {
+    switch (event.type) {
+        case 'pillarSpawned':
+            addPillarUser(event.pillar);
+            break;
+        case 'pillarRemoved':
+            removePillarUser(event.pillar);
+            break;
+        case 'pillarPassed':
+            playWhoosh(event.gap);
+            break;
+        case 'hazardSpawned':
+            showHazard(event.hazard, getPlayerLayer(0));
+            break;
+        case 'hazardRemoved':
+            hideHazard(event.hazard);
+            break;
+        case 'pickupSpawned':
+            showPickup(event.pickup, getPlayerLayer(0));
+            break;
+        case 'pickupRemoved':
+            hidePickup(event.pickup);
+            break;
+        case 'pickupCollected':
+            hidePickup(event.pickup);
+            showHudMessage(event.points ? `Coin! +${event.points}` : PICKUP_MESSAGES[event.pickup.kind]);
+            break;
+        case 'ringPassed':
+            removeCourseRing(event.ring);
+            playRingChime(false);
+            showHudMessage(`Ring! +${event.points}`);
+            break;
+        case 'checkpoint':
+            removeCourseRing(event.checkpoint);
+            playRingChime(true);
+            showHudMessage('Checkpoint!');
+            break;
+        case 'nearMiss':
+            showHudMessage(`Near miss! +${event.points}`);
+            break;
+        case 'stall':
+            showHudMessage('Stall!');
+            break;
+        case 'stage':
+            onEndlessStage(event.stage);
+            break;
+        case 'levelComplete':
+            if (splitScreenMode) {
+                onRacerComplete(0);
+            } else {
+                completeLevel();
+            }
+            break;
+        case 'crash':
+            if (splitScreenMode) {
+                onRacerCrashed(0);
+            } else {
+                endGame();
+            }
+            break;
     }
+}
+
+// Draw the scene, blending the last two simulation steps by alpha (0-1)
+function render(alpha) {
+    if (plane && gameState) {
+        placePlaneModel(plane, gameState.plane, alpha);
+        updateCamera();
 
-    // Check if plane passed the ring without going through it
-    if (goldenRing && plane.position.z > goldenRing.userData.zPosition + 10) {
-        endGame();
+        // Update directional light to follow plane (keeps shadows visible)
+        followWithLight(plane);
     }
 
-    // Update camera based on view mode
-    if (firstPersonView) {
-        // First-person view (nose-mounted camera)
-        // Position camera at the front tip of the plane
-        camera.position.x = plane.position.x;
-        camera.position.y = plane.position.y;
-        camera.position.z = plane.position.z + 3; // At the nose tip
+    if (endlessMode) {
+        updateEndlessScenery();
+    }
+    updateHazardObjects(alpha);
+    updatePickupObjects(performance.now() / 1000);
+    renderGhost(alpha);
+    renderRemotePlanes();
 
-        // Look forward in the direction the plane is moving
-        camera.lookAt(
-            plane.position.x,
-            plane.position.y,
-            plane.position.z + 100 // Look far ahead
-        );
+    if (splitScreenMode && !isEditorOpen()) {
+        renderSplitScreen(alpha);
     } else {
-        // Third-person orbital view
-        const cameraDistance = 12; // Distance from plane
-        const cameraHeight = 3; // Height above plane
+        renderer.render(scene, isEditorOpen() ? editorCamera : camera);
+    }
+}
 
-        // Calculate camera position using polar coordinates
-        camera.position.x = plane.position.x + Math.sin(cameraAngle) * cameraDistance;
-        camera.position.y = plane.position.y + cameraHeight;
-        camera.position.z = plane.position.z - Math.cos(cameraAngle) * cameraDistance;
+// Move a plane model between a simulated plane's last two steps, by alpha (0-1)
+function placePlaneModel(model, planeState, alpha) {
+    const { position, rotation, previousPosition, previousRotation } = planeState;
 
-        // Always look at the plane
-        camera.lookAt(plane.position.x, plane.position.y, plane.position.z);
-    }
+    model.position.set(
+        previousPosition.x + (position.x - previousPosition.x) * alpha,
+        previousPosition.y + (position.y - previousPosition.y) * alpha,
+        previousPosition.z + (position.z - previousPosition.z) * alpha
+    );
+    model.rotation.z = previousRotation.z + (rotation.z - previousRotation.z) * alpha;
+    model.rotation.x = previousRotation.x + (rotation.x - previousRotation.x) * alpha;
+    model.rotation.y = previousRotation.y + (rotation.y - previousRotation.y) * alpha;
+}
 
-    // Update directional light to follow plane (keeps shadows visible)
+// Keep the shadow-casting light over a plane model, so its shadows stay visible
+function followWithLight(model) {
     directionalLight.position.set(
-        plane.position.x + 50,
+        model.position.x + 50,
         100,
-        plane.position.z + 50
+        model.position.z + 50
     );
     directionalLight.target.position.set(
-        plane.position.x,
+        model.position.x,
         0,
-        plane.position.z
+        model.position.z
     );
     directionalLight.target.updateMatrixWorld();
+}
 
-    // Update UI
-    updateUI();
+// Place the camera around the rendered plane
+function updateCamera() {
+    placeCamera(camera, plane, firstPersonView, cameraAngle);
 }
 
-// Check for collisions
-function checkCollisions() {
-    // Plane bounding box (accounting for wings)
-    const planeBox = {
-        minX: plane.position.x - 3, // Wing span
-        maxX: plane.position.x + 3,
-        minY: plane.position.y - 0.5,
-        maxY: plane.position.y + 0.5,
-        minZ: plane.position.z - 1,
-        maxZ: plane.position.z + 1
-    };
+// Place a camera in a plane model's nose, or orbiting behind it by orbitAngle
+function placeCamera(view, model, firstPerson, orbitAngle) {
+    // Direction the plane is heading in (always +Z in the classic flight model)
+    const heading = model.rotation.y;
+    const forwardX = Math.sin(heading);
+    const forwardZ = Math.cos(heading);
 
-    pillars.forEach(pillar => {
-        const pillarX = pillar.userData.xPosition;
-        const pillarZ = pillar.userData.zPosition;
-
-        // Pillar bounding box
-        const pillarBox = {
-            minX: pillarX - PILLAR_WIDTH / 2,
-            maxX: pillarX + PILLAR_WIDTH / 2,
-            minY: 0,
-            maxY: PILLAR_HEIGHT,
-            minZ: pillarZ - PILLAR_WIDTH / 2,
-            maxZ: pillarZ + PILLAR_WIDTH / 2
-        };
-
-        // Check for 3D box collision (AABB collision detection)
-        const collisionX = planeBox.maxX >= pillarBox.minX && planeBox.minX <= pillarBox.maxX;
-        const collisionY = planeBox.maxY >= pillarBox.minY && planeBox.minY <= pillarBox.maxY;
-        const collisionZ = planeBox.maxZ >= pillarBox.minZ && planeBox.minZ <= pillarBox.maxZ;
-
-        // If all three axes overlap, there's a collision
-        if (collisionX && collisionY && collisionZ) {
-            endGame();
-        }
-    });
+    // Update camera based on view mode
+    if (firstPerson) {
+        // First-person view (nose-mounted camera)
+        // Position camera at the front tip of the plane
+        view.position.x = model.position.x + forwardX * 3;
+        view.position.y = model.position.y;
+        view.position.z = model.position.z + forwardZ * 3; // At the nose tip
 
-    // Check barrier collisions - constrain position instead of ending game
-    const BARRIER_X_LIMIT = 42; // Match the barrier position
-    const PLANE_HALF_WIDTH = 3; // Half of plane's wing span
-
-    // Constrain plane within barriers (like hitting a wall)
-    if (planePosition.x - PLANE_HALF_WIDTH < -BARRIER_X_LIMIT) {
-        planePosition.x = -BARRIER_X_LIMIT + PLANE_HALF_WIDTH;
-        plane.position.x = planePosition.x;
-    } else if (planePosition.x + PLANE_HALF_WIDTH > BARRIER_X_LIMIT) {
-        planePosition.x = BARRIER_X_LIMIT - PLANE_HALF_WIDTH;
-        plane.position.x = planePosition.x;
-    }
+        // Look forward in the direction the plane is moving
+        view.lookAt(
+            model.position.x + forwardX * 100,
+            model.position.y,
+            model.position.z + forwardZ * 100 // Look far ahead
+        );
+    } else {
+        // Third-person orbital view
+        const cameraDistance = 12; // Distance from plane
+        const cameraHeight = 3; // Height above plane
+
+        // Calculate camera position using polar coordinates, behind the plane's heading
+        view.position.x = model.position.x - Math.sin(heading - orbitAngle) * cameraDistance;
+        view.position.y = model.position.y + cameraHeight;
+        view.position.z = model.position.z - Math.cos(heading - orbitAngle) * cameraDistance;
 
-    // Check ground collision
-    if (plane.position.y < 0.5) {
-        endGame();
+        // Always look at the plane
+        view.lookAt(model.position.x, model.position.y, model.position.z);
     }
 }
 
@@ -1158,6 +1605,13 @@ function checkCollisions() {
 function endGame() {
     gameOver = true;
     gameStarted = false;
+    playCrashSound();
+
+    if (customLevel) {
+        finishTestFlight(`Test flight crashed after ${Math.floor(gameState.distance)}m.`);
+        return;
+    }
+    finishOnlineRun();
 
     // Reset button text to "Restart Game" for game over
     const restartBtn = document.getElementById('restart-btn');
@@ -1166,27 +1620,103 @@ function endGame() {
     // Reset title color to default
     const gameOverDiv = document.getElementById('game-over');
     const gameOverTitle = gameOverDiv.querySelector('h1');
-    gameOverTitle.textContent = 'Game Over!';
+    gameOverTitle.textContent = replayPlayback ? 'Replay Finished' : 'Game Over!';
     gameOverTitle.style.color = '';
 
-    document.getElementById('final-score').textContent = score;
-    document.getElementById('final-distance').textContent = Math.floor(distance);
+    // Save best score, distance and run for this level (watched runs were saved when flown)
+    // Endless runs keep a high score of their own, online races (on the host's course) don't count
+    if (endlessMode) {
+        const newBest = recordEndlessResult(gameState.score, gameState.distance);
+        gameOverTitle.textContent = newBest ? 'New Endless High Score!' : 'Endless Run Over';
+    } else if (!replayPlayback && !onlineRace) {
+        recordLevelResult(currentLevel, gameState.score, gameState.distance, false);
+        saveRunReplay();
+    }
+    updateWatchReplayButton();
+    updateCheckpointButton();
+    showRunSummary(null);
+    showTimeTrialResult(null);
+
+    document.getElementById('final-score').textContent = gameState.score;
+    document.getElementById('final-distance').textContent = Math.floor(gameState.distance);
     document.getElementById('game-over').classList.remove('hidden');
 }
 
+// Offer a retry from the last checkpoint while the run has lives left
+function updateCheckpointButton() {
+    const button = document.getElementById('checkpoint-btn');
+    const canRetry = !replayPlayback && gameState.status === 'crashed' && GameCore.canRespawn(gameState);
+
+    button.classList.toggle('hidden', !canRetry);
+    if (canRetry) {
+        button.textContent = `Retry From Checkpoint (${gameState.lives} ${gameState.lives === 1 ? 'life' : 'lives'} left)`;
+    }
+}
+
 // Update UI
 function updateUI() {
-    document.getElementById('speed-display').textContent = Math.floor(speed * 100);
-    document.getElementById('score-display').textContent = score;
-    document.getElementById('distance-display').textContent = Math.floor(distance);
+    document.getElementById('speed-display').textContent = Math.floor(gameState.speed * SPEED_TO_KMH);
+    document.getElementById('score-display').textContent = gameState.score;
+    document.getElementById('distance-display').textContent = Math.floor(gameState.distance);
     updateLevelDisplay();
+    updateTimerDisplay();
+
+    // Lives only matter on courses with checkpoints
+    document.getElementById('lives-container').classList.toggle('hidden', gameState.checkpoints.length === 0);
+    document.getElementById('lives-display').textContent = gameState.lives;
+
+    document.getElementById('score-breakdown').textContent = formatScoreBreakdown(gameState.scoreBreakdown);
+    document.getElementById('combo-container').classList.toggle('hidden', gameState.combo === 0);
+    document.getElementById('combo-display').textContent = `x${1 + gameState.combo}`;
+
+    // Effects still running, with the seconds they have left
+    const effects = gameState.effects;
+    const active = [];
+    if (effects.shield > 0) active.push(`Shield ${Math.ceil(effects.shield)}s`);
+    if (effects.slowTime > 0) active.push(`Slow time ${Math.ceil(effects.slowTime)}s`);
+    document.getElementById('effects-container').classList.toggle('hidden', active.length === 0);
+    document.getElementById('effects-display').textContent = active.join(', ');
+}
+
+// Where a score came from, like "Pillars 120 / Near misses 50 / Coins 40 / Rings 0"
+function formatScoreBreakdown(breakdown) {
+    return `Pillars ${breakdown.pillars} / Near misses ${breakdown.nearMisses} / ` +
+        `Coins ${breakdown.coins} / Rings ${breakdown.rings}`;
+}
+
+// Show the score's breakdown and the stars earned on the game over screen (null for a crash, which earns none)
+function showRunSummary(stars) {
+    document.getElementById('final-breakdown').textContent = formatScoreBreakdown(gameState.scoreBreakdown);
+
+    const starsLine = document.getElementById('final-stars-line');
+    starsLine.classList.toggle('hidden', stars === null);
+    if (stars !== null) {
+        document.getElementById('final-stars').textContent = formatStars(stars);
+    }
+}
+
+// Stars as filled and empty symbols, like ★★☆
+function formatStars(stars) {
+    return '\u2605'.repeat(stars) + '\u2606'.repeat(MAX_STARS - stars);
+}
+
+// Flash a short message in the middle of the screen
+function showHudMessage(text) {
+    const message = document.getElementById('hud-message');
+    message.textContent = text;
+    message.classList.remove('hidden');
+
+    clearTimeout(hudMessageTimer);
+    hudMessageTimer = setTimeout(() => message.classList.add('hidden'), 1200);
 }
 
 // Update level display
 function updateLevelDisplay() {
     const levelInfo = document.getElementById('level-info');
-    if (levelInfo) {
-        const remaining = Math.max(0, levelDistance - Math.floor(distance));
+    if (levelInfo && endlessMode) {
+        levelInfo.textContent = `Endless - Stage ${gameState.stage + 1}`;
+    } else if (levelInfo) {
+        const remaining = Math.max(0, levelDistance - Math.floor(gameState.distance));
         levelInfo.textContent = `Level ${currentLevel} - ${remaining}m to goal`;
     }
 }
@@ -1195,25 +1725,52 @@ function updateLevelDisplay() {
 function completeLevel() {
     gameOver = true;
     gameStarted = false;
+    playLevelCompleteSound();
 
-    // Unlock next level
-    if (currentLevel < LEVELS.length) {
-        LEVELS[currentLevel].unlocked = true;
-        updateLevelButtons();
+    // Stars for the score, against the level's star scores
+    const stars = getStarRating(getCurrentLevel(), gameState.score);
+
+    if (customLevel) {
+        finishTestFlight(`Test flight finished with ${gameState.score} points (${formatStars(stars)}).`);
+        return;
     }
+    finishOnlineRun();
+
+    // Save the result and run, and unlock the next level (watched runs were saved when flown)
+    // Online races fly the host's course, which may be a level not reached yet, so they don't count toward progress
+    if (!replayPlayback && !onlineRace) {
+        recordLevelResult(currentLevel, gameState.score, gameState.distance, true, stars);
+        saveRunReplay();
+        if (currentLevel < LEVELS.length) {
+            unlockLevel(currentLevel + 1);
+        }
+    }
+
+    // Time trials record the elapsed time and its splits
+    const timeTrialResult = isTimeTrialRun() && !replayPlayback ? finishTimeTrial() : null;
+    updateLevelButtons();
+    updateWatchReplayButton();
+    updateCheckpointButton();
+    showRunSummary(stars);
+    showTimeTrialResult(timeTrialResult);
 
     // Show completion message
     const gameOverDiv = document.getElementById('game-over');
     const gameOverTitle = gameOverDiv.querySelector('h1');
-    gameOverTitle.textContent = currentLevel === LEVELS.length ? 'All Levels Complete!' : 'Level Complete!';
+    if (replayPlayback) {
+        gameOverTitle.textContent = 'Replay Finished';
+    } else {
+        gameOverTitle.textContent = currentLevel === LEVELS.length ? 'All Levels Complete!' : 'Level Complete!';
+    }
     gameOverTitle.style.color = '#00ff88';
 
-    // Change button text to "Continue"
+    // Change button text to "Continue", unless the next level is still locked (after an online race)
     const restartBtn = document.getElementById('restart-btn');
-    restartBtn.textContent = 'Continue';
+    const nextLevel = LEVELS[currentLevel];
+    restartBtn.textContent = nextLevel && LOCK_LEVEL && !nextLevel.unlocked ? 'Restart Game' : 'Continue';
 
-    document.getElementById('final-score').textContent = score;
-    document.getElementById('final-distance').textContent = Math.floor(distance);
+    document.getElementById('final-score').textContent = gameState.score;
+    document.getElementById('final-distance').textContent = Math.floor(gameState.distance);
     gameOverDiv.classList.remove('hidden');
 
     // Player must click "Continue" button to advance to next level
@@ -1231,14 +1788,230 @@ function updateLevelButtons() {
             btn.classList.add('locked');
             btn.disabled = true;
         }
+
+        // Show the saved best score for this level
+        const bestLabel = btn.querySelector('.level-best');
+        const record = profile.levels[LEVELS[index].number];
+        if (bestLabel) {
+            bestLabel.textContent = record && record.bestScore > 0 ? `Best: ${record.bestScore}` : '';
+        }
+
+        // Best stars once the level has been finished
+        const starsLabel = btn.querySelector('.level-stars');
+        if (starsLabel) {
+            starsLabel.textContent = record && record.completed ? formatStars(record.bestStars) : '';
+        }
+
+        // Fastest time trial and the best medal won
+        const timeLabel = btn.querySelector('.level-time');
+        if (timeLabel) {
+            const medal = record && record.bestMedal ? ` ${MEDAL_NAMES[record.bestMedal]}` : '';
+            timeLabel.textContent = record && record.bestTime > 0 ? `Time: ${formatTime(record.bestTime)}${medal}` : '';
+        }
     });
 }
 
-// Animation loop
-function animate() {
+// Handle a profile file chosen for import
+function onProfileFileSelected(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    importProfile(file, () => {
+        firstPersonView = getSetting('firstPersonView');
+        if (plane) {
+            plane.visible = !firstPersonView;
+        }
+        refreshSettingsControls();
+        updateLevelButtons();
+        updateEndlessButton();
+
+        // The imported profile may fly another aircraft
+        if (!plane || plane.userData.aircraftId !== getSelectedAircraft().id) {
+            applySelectedAircraft();
+        }
+    });
+
+    // Allow picking the same file again later
+    event.target.value = '';
+}
+
+// React to controller buttons pressed this frame
+function handleGamepadButtons() {
+    const menu = getActiveMenu();
+
+    gamepadState.pressed.forEach(button => {
+        if (!menu) {
+            // In flight
+            if (button === 'view') onActionPressed('toggleView');
+            if (button === 'pause') onActionPressed('pause');
+            return;
+        }
+
+        // Menu navigation
+        if (button === 'up' || button === 'left') {
+            navigateMenu(menu, -1);
+        } else if (button === 'down' || button === 'right') {
+            navigateMenu(menu, 1);
+        } else if (button === 'confirm') {
+            if (menu.contains(document.activeElement) && document.activeElement.tagName === 'BUTTON') {
+                document.activeElement.click();
+            } else {
+                navigateMenu(menu, 1);
+            }
+        } else if (button === 'pause') {
+            // Start presses the screen's main button
+            const primary = menu.querySelector('#start-btn, #restart-btn, #rematch-btn, #resume-btn, #settings-back-btn');
+            if (primary) primary.click();
+        } else if (button === 'back') {
+            if (menu.id === 'settings-screen') {
+                closeSettings();
+            } else if (menu.id === 'pause-menu') {
+                resumeGame();
+            } else if (menu.id === 'game-over' || menu.id === 'split-results') {
+                returnToMainMenu();
+            }
+        }
+    });
+}
+
+// The menu screen currently shown, or null while flying
+function getActiveMenu() {
+    const menus = ['settings-screen', 'pause-menu', 'game-over', 'split-results', 'start-screen', 'editor-panel'];
+    for (const id of menus) {
+        const menu = document.getElementById(id);
+        if (!menu.classList.contains('hidden')) return menu;
+    }
+    return null;
+}
+
+// Open the settings screen
+function openSettings() {
+    updateGamepadStatus();
+    document.getElementById('settings-screen').classList.remove('hidden');
+}
+
+// Close the settings screen
+function closeSettings() {
+    document.getElementById('settings-screen').classList.add('hidden');
+}
+
+function isSettingsOpen() {
+    return !document.getElementById('settings-screen').classList.contains('hidden');
+}
+
+// Hook the settings controls up to the profile
+function initSettingsControls() {
+    settingsControls = [];
+    bindRangeSetting('gamepad-deadzone', 'gamepadDeadzone', value => `${Math.round(value * 100)}%`);
+    bindRangeSetting('gamepad-sensitivity', 'gamepadSensitivity', value => `${value.toFixed(2)}x`);
+    bindRangeSetting('master-volume', 'masterVolume', formatVolume, applyAudioVolumes);
+    bindRangeSetting('sfx-volume', 'sfxVolume', formatVolume, applyAudioVolumes);
+    bindRangeSetting('music-volume', 'musicVolume', formatVolume, applyAudioVolumes);
+    bindCheckboxSetting('invert-pitch', 'invertPitch');
+    bindCheckboxSetting('debug-counter-toggle', 'showDebugCounter');
+    bindSelectSetting('flight-model', 'flightModel');
+    bindSelectSetting('keyboard-layout', 'keyboardLayout', onBindingsChanged);
+
+    // Key bindings and the controls panel follow the saved bindings
+    onBindingsChanged();
+    detectKeyboardLayout(onBindingsChanged);
+}
+
+// Keep a range input and its label in sync with a saved setting
+function bindRangeSetting(inputId, settingName, formatValue, onChange) {
+    const input = document.getElementById(inputId);
+    const label = document.getElementById(inputId + '-value');
+
+    const show = () => {
+        input.value = getSetting(settingName);
+        label.textContent = formatValue(Number(input.value));
+    };
+
+    input.addEventListener('input', () => {
+        setSetting(settingName, Number(input.value));
+        show();
+        if (onChange) onChange();
+    });
+    show();
+    settingsControls.push(show);
+}
+
+// Keep a checkbox in sync with a saved on/off setting
+function bindCheckboxSetting(inputId, settingName) {
+    const input = document.getElementById(inputId);
+    const show = () => {
+        input.checked = !!getSetting(settingName);
+    };
+
+    input.addEventListener('change', () => setSetting(settingName, input.checked));
+    show();
+    settingsControls.push(show);
+}
+
+// Keep a select box in sync with a saved setting
+function bindSelectSetting(inputId, settingName, onChange) {
+    const input = document.getElementById(inputId);
+    const show = () => {
+        input.value = getSetting(settingName);
+    };
+
+    input.addEventListener('change', () => {
+        setSetting(settingName, input.value);
+        if (onChange) onChange();
+    });
+    show();
+    settingsControls.push(show);
+}
+
+function formatVolume(value) {
+    return `${Math.round(value * 100)}%`;
+}
+
+// Show the saved values again (after a profile import)
+function refreshSettingsControls() {
+    settingsControls.forEach(show => show());
+    onBindingsChanged();
+    applyAudioVolumes();
+}
+
+// Show which controller is connected on the settings screen
+function updateGamepadStatus() {
+    const pads = navigator.getGamepads ? Array.from(navigator.getGamepads()) : [];
+    const pad = pads.find(p => p && p.connected);
+    document.getElementById('gamepad-status').textContent = pad ? `Connected: ${pad.id}` : 'No controller connected';
+}
+
+// Animation loop - runs the simulation in fixed steps and renders once per frame
+function animate(now) {
     requestAnimationFrame(animate);
-    update();
-    renderer.render(scene, camera);
+
+    // Controllers are read once per frame
+    pollGamepad();
+    handleGamepadButtons();
+
+    // Time since the last frame, clamped so a stall doesn't replay seconds of game at once
+    const frameTime = lastFrameTime === null || now === undefined ? 0 : (now - lastFrameTime) / 1000;
+    lastFrameTime = now === undefined ? null : now;
+
+    // While paused the leftover time is kept, so resuming picks up exactly where it stopped
+    if (!gamePaused) {
+        accumulator += Math.min(frameTime, MAX_FRAME_TIME);
+
+        while (accumulator >= GameCore.FIXED_TIMESTEP) {
+            update(GameCore.FIXED_TIMESTEP);
+            accumulator -= GameCore.FIXED_TIMESTEP;
+        }
+    }
+
+    if (isEditorOpen()) {
+        updateEditor(Math.min(frameTime, MAX_FRAME_TIME));
+    }
+
+    // Blend between steps only while the simulation is actually moving
+    const running = gameStarted && !gameOver;
+    render(running ? accumulator / GameCore.FIXED_TIMESTEP : 1);
+    updateAudio();
+    updateDebugCounter(now);
 }
 
 // Initialize the game when the page loads
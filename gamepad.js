@@ -0,0 +1,126 @@
+// Gamepad support - polls standard-mapping controllers once per frame
+// The first controller flies and works the menus, a second one flies player two in split-screen races
+
+// Standard mapping button numbers (https://w3c.github.io/gamepad/#remapping)
+const GAMEPAD_BUTTONS = {
+    confirm: 0, // A / Cross
+    back: 1, // B / Circle
+    view: 3, // Y / Triangle - same as the C key
+    brake: 6, // Left trigger
+    throttle: 7, // Right trigger
+    pause: 9, // Start / Options
+    up: 12,
+    down: 13,
+    left: 14,
+    right: 15
+};
+
+// Standard mapping stick axes
+const GAMEPAD_AXES = {
+    steerX: 0, // Left stick
+    pitchY: 1,
+    cameraX: 2 // Right stick
+};
+
+// Current controller state, read by the game each frame
+let gamepadState = createIdleGamepadState();
+let secondGamepadState = createIdleGamepadState(); // Player two's controller
+let previousGamepadButtons = {};
+let previousSecondGamepadButtons = {};
+
+// State of a controller that isn't connected
+function createIdleGamepadState() {
+    return {
+        connected: false,
+        steer: 0,
+        pitch: 0,
+        speedTarget: null,
+        cameraOrbit: 0,
+        pressed: [] // Buttons pressed since the last poll, by name
+    };
+}
+
+// Read the first two connected controllers
+function pollGamepad() {
+    const pads = navigator.getGamepads ? Array.from(navigator.getGamepads()).filter(p => p && p.connected) : [];
+
+    if (!pads[1]) previousSecondGamepadButtons = {};
+    secondGamepadState = pads[1] ? readGamepad(pads[1], previousSecondGamepadButtons) : createIdleGamepadState();
+
+    if (!pads[0]) previousGamepadButtons = {};
+    gamepadState = pads[0] ? readGamepad(pads[0], previousGamepadButtons) : createIdleGamepadState();
+    return gamepadState;
+}
+
+// Controller state from a pad, previousButtons remembers which buttons were down at the last poll
+function readGamepad(pad, previousButtons) {
+    const deadzone = getSetting('gamepadDeadzone');
+    const sensitivity = getSetting('gamepadSensitivity');
+
+    // Left stick steers and pitches in proportion to how far it is pushed
+    const stick = applyRadialDeadzone(axisValue(pad, GAMEPAD_AXES.steerX), axisValue(pad, GAMEPAD_AXES.pitchY), deadzone);
+
+    // The right trigger asks for a speed in proportion to how far it's pulled, the left trigger brakes it back
+    // down (a target of 0 is the slowest speed), released triggers leave the speed as it is
+    const throttle = applyDeadzone(buttonValue(pad, GAMEPAD_BUTTONS.throttle), deadzone);
+    const brake = applyDeadzone(buttonValue(pad, GAMEPAD_BUTTONS.brake), deadzone);
+    const speedTarget = throttle || brake ? Math.max(throttle - brake, 0) : null;
+
+    // Buttons that went down since the last poll
+    const pressed = [];
+    Object.keys(GAMEPAD_BUTTONS).forEach(name => {
+        const down = buttonValue(pad, GAMEPAD_BUTTONS[name]) > 0.5;
+        if (down && !previousButtons[name]) {
+            pressed.push(name);
+        }
+        previousButtons[name] = down;
+    });
+
+    return {
+        connected: true,
+        steer: clampUnit(stick.x * sensitivity),
+        pitch: clampUnit(-stick.y * sensitivity), // Pushing the stick forward dives
+        speedTarget: speedTarget,
+        cameraOrbit: applyDeadzone(axisValue(pad, GAMEPAD_AXES.cameraX), deadzone),
+        pressed: pressed
+    };
+}
+
+function axisValue(pad, index) {
+    return pad.axes[index] || 0;
+}
+
+function buttonValue(pad, index) {
+    const button = pad.buttons[index];
+    if (!button) return 0;
+    return typeof button === 'object' ? button.value : button;
+}
+
+// Ignore small stick movements around the centre, then rescale so output still reaches 1
+function applyRadialDeadzone(x, y, deadzone) {
+    const magnitude = Math.hypot(x, y);
+    if (magnitude <= deadzone) return { x: 0, y: 0 };
+
+    const scale = Math.min((magnitude - deadzone) / (1 - deadzone), 1) / magnitude;
+    return { x: x * scale, y: y * scale };
+}
+
+// Same as applyRadialDeadzone for a single axis
+function applyDeadzone(value, deadzone) {
+    if (Math.abs(value) <= deadzone) return 0;
+    return Math.sign(value) * Math.min((Math.abs(value) - deadzone) / (1 - deadzone), 1);
+}
+
+function clampUnit(value) {
+    return Math.max(-1, Math.min(1, value));
+}
+
+// Move focus between the enabled buttons of a menu (direction -1 = previous, 1 = next)
+function navigateMenu(menu, direction) {
+    const buttons = Array.from(menu.querySelectorAll('button')).filter(btn => !btn.disabled && btn.offsetParent);
+    if (!buttons.length) return;
+
+    const current = buttons.indexOf(document.activeElement);
+    const next = current === -1 ? 0 : (current + direction + buttons.length) % buttons.length;
+    buttons[next].focus();
+}
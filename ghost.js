@@ -0,0 +1,139 @@
+// Ghost plane - flies the best recorded run of the course alongside the player
+// The ghost has its own GameCore state fed from the replay, so it follows the exact same physics
+
+const GHOST_OPACITY = 0.35;
+
+let ghostState = null; // Simulation of the replayed run
+let ghostReader = null; // Where the ghost is in its recording
+let ghostModel = null; // Translucent copy of the recorded aircraft's model
+let ghostAircraft = null; // Roster entry the ghost's model is (or is being) built from
+
+// Start flying a recorded run (null removes the ghost)
+function startGhost(replay) {
+    stopGhost();
+    if (!replay) return;
+
+    ghostState = GameCore.createGameState({
+        level: replay.level,
+        levelDistance: replay.levelDistance,
+        seed: replay.seed,
+        flightModel: replay.flightModel,
+        aircraft: replay.aircraft,
+        hazards: replay.hazards,
+        pickups: replay.pickups,
+        course: replay.course,
+        ring: replay.ring,
+        obstacles: replay.obstacles,
+        rings: replay.rings,
+        checkpoints: replay.checkpoints,
+        lives: replay.lives,
+        planeHitbox: replay.planeHitbox,
+        obstacleHitbox: replay.obstacleHitbox,
+        hazardHitboxes: replay.hazardHitboxes
+    });
+    ghostReader = createReplayReader(replay);
+
+    // Recordings from before aircraft were saved with them were flown in the default one
+    const aircraft = AIRCRAFT.find(entry => entry.id === replay.aircraftId) || AIRCRAFT[0];
+    if (aircraft !== ghostAircraft) {
+        releaseGhostModel();
+        loadGhostModel(aircraft);
+    }
+}
+
+// Build the ghost from an aircraft's model, falling back to the default aircraft's if it won't load
+function loadGhostModel(aircraft) {
+    ghostAircraft = aircraft;
+    loadModel(aircraft.file, enableModelShadows).then(
+        function (template) {
+            // Another recording with another aircraft started meanwhile
+            if (ghostAircraft !== aircraft) return;
+            ghostModel = createGhostModel(buildAircraftModel(template, aircraft));
+        },
+        function (error) {
+            console.error(`Error loading the ${aircraft.name} model for the ghost:`, error);
+            if (ghostAircraft === aircraft && aircraft !== AIRCRAFT[0]) {
+                loadGhostModel(AIRCRAFT[0]);
+            }
+        }
+    );
+}
+
+// Forget the ghost's run and hide it
+function stopGhost() {
+    ghostState = null;
+    ghostReader = null;
+    if (ghostModel) {
+        ghostModel.visible = false;
+    }
+}
+
+// Advance the ghost by one fixed step, in lockstep with the player
+function stepGhost(dt) {
+    if (!ghostState) return;
+
+    const input = readReplayInput(ghostReader) || GameCore.NO_INPUT;
+    GameCore.stepGame(ghostState, input, dt);
+
+    // The ghost retries from checkpoints where the recorded player did
+    if (readReplayRespawn(ghostReader)) {
+        GameCore.respawnAtCheckpoint(ghostState);
+    }
+}
+
+// Draw the ghost between its last two steps, like the player's plane
+function renderGhost(alpha) {
+    if (!ghostState || !ghostModel) return;
+
+    // The ghost vanishes once its run is over
+    ghostModel.visible = ghostState.status === 'running';
+    if (!ghostModel.visible) return;
+
+    const { position, rotation, previousPosition, previousRotation } = ghostState.plane;
+    ghostModel.position.set(
+        previousPosition.x + (position.x - previousPosition.x) * alpha,
+        previousPosition.y + (position.y - previousPosition.y) * alpha,
+        previousPosition.z + (position.z - previousPosition.z) * alpha
+    );
+    ghostModel.rotation.z = previousRotation.z + (rotation.z - previousRotation.z) * alpha;
+    ghostModel.rotation.x = previousRotation.x + (rotation.x - previousRotation.x) * alpha;
+    ghostModel.rotation.y = previousRotation.y + (rotation.y - previousRotation.y) * alpha;
+}
+
+// Forget the ghost's model (the next recording was flown in another aircraft)
+function releaseGhostModel() {
+    ghostAircraft = null;
+    if (!ghostModel) return;
+
+    scene.remove(ghostModel);
+    ghostModel.traverse((child) => {
+        if (!child.isMesh) return;
+        (Array.isArray(child.material) ? child.material : [child.material]).forEach(mat => mat.dispose());
+    });
+    ghostModel = null;
+}
+
+// Give a copy of an aircraft model see-through materials of its own
+function createGhostModel(model) {
+    model.visible = false; // Until renderGhost places it
+
+    model.traverse((child) => {
+        if (!child.isMesh) return;
+
+        child.castShadow = false;
+        child.receiveShadow = false;
+        child.material = Array.isArray(child.material) ?
+            child.material.map(createGhostMaterial) : createGhostMaterial(child.material);
+    });
+
+    scene.add(model);
+    return model;
+}
+
+function createGhostMaterial(material) {
+    const ghostMaterial = material.clone();
+    ghostMaterial.transparent = true;
+    ghostMaterial.opacity = GHOST_OPACITY;
+    ghostMaterial.depthWrite = false; // Don't hide the pillars behind it
+    return ghostMaterial;
+}
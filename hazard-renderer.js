@@ -0,0 +1,146 @@
+// Hazard rendering - draws drones and missiles from the bundled models
+// Each hazard gets its own clone, there are only ever a handful in flight
+// Objects are kept by the simulation's hazard (split-screen players each have hazards with the same ids)
+
+// ===== HAZARD MODEL CONTROL =====
+// Rotate the models so their nose points along +Z (values in radians, like the AIRCRAFT roster)
+const HAZARD_MODELS = {
+    drone: { file: 'Untitled_Drone.glb', scale: 0.5, rotation: { x: 0, y: 0, z: 0 } },
+    missile: { file: 'untitled_missile.glb', scale: 0.35, rotation: { x: 0, y: 0, z: 0 } }
+};
+// ================================
+
+let hazardTemplates = { drone: null, missile: null }; // Loaded models, nose along +Z
+let fallbackHazardTemplates = {}; // Default shapes used until the models load (built once)
+let hazardObjects = new Map(); // Hazard -> { hazard, object, layer }
+
+const hazardLookTarget = new THREE.Vector3();
+
+// Load the drone and missile models, onLoaded(kind, template) runs for each one
+function loadHazardModels(onLoaded) {
+    Object.keys(HAZARD_MODELS).forEach(kind => {
+        const config = HAZARD_MODELS[kind];
+        loadModel(config.file, enableModelShadows).then(
+            function (loadedModel) {
+                const model = loadedModel.clone();
+                model.scale.set(config.scale, config.scale, config.scale);
+                model.rotation.set(config.rotation.x, config.rotation.y, config.rotation.z);
+
+                // Wrapped so hazards can be turned without losing the model's own rotation
+                const template = new THREE.Group();
+                template.add(model);
+                setHazardModel(kind, template);
+
+                if (onLoaded) onLoaded(kind, template);
+            },
+            function (error) {
+                // The default shapes stay in use
+                console.error(`Error loading ${kind} model:`, error);
+            }
+        );
+    });
+}
+
+// Switch the model a kind of hazard is drawn with, redrawing the ones in flight
+function setHazardModel(kind, template) {
+    hazardTemplates[kind] = template;
+
+    hazardObjects.forEach(entry => {
+        if (entry.hazard.kind !== kind) return;
+        scene.remove(entry.object);
+        entry.object = createHazardObject(kind);
+        setObjectLayer(entry.object, entry.layer);
+        scene.add(entry.object);
+    });
+}
+
+// Start drawing a hazard from the simulation, on a split-screen player's layer if given
+function showHazard(hazard, layer = 0) {
+    if (hazardObjects.has(hazard)) return;
+
+    const object = createHazardObject(hazard.kind);
+    setObjectLayer(object, layer);
+    scene.add(object);
+    hazardObjects.set(hazard, { hazard: hazard, object: object, layer: layer });
+}
+
+// Stop drawing a hazard that left the simulation
+function hideHazard(hazard) {
+    const entry = hazardObjects.get(hazard);
+    if (!entry) return;
+
+    scene.remove(entry.object);
+    hazardObjects.delete(hazard);
+}
+
+// Stop drawing every hazard
+function hideAllHazards() {
+    hazardObjects.forEach(entry => scene.remove(entry.object));
+    hazardObjects.clear();
+}
+
+// Move every drawn hazard between its last two steps, by alpha (0-1)
+function updateHazardObjects(alpha) {
+    hazardObjects.forEach(({ hazard, object }) => {
+        const previous = hazard.previous;
+        object.position.set(
+            previous.x + (hazard.x - previous.x) * alpha,
+            previous.y + (hazard.y - previous.y) * alpha,
+            previous.z + (hazard.z - previous.z) * alpha
+        );
+
+        // Missiles point where they're flying, drones face the oncoming plane
+        if (hazard.direction) {
+            hazardLookTarget.set(
+                object.position.x + hazard.direction.x,
+                object.position.y + hazard.direction.y,
+                object.position.z + hazard.direction.z
+            );
+            object.lookAt(hazardLookTarget);
+        }
+    });
+}
+
+// Hitbox of a kind of hazard as it flies toward the plane (boxes in GameCore's format)
+function computeHazardHitbox(kind) {
+    return computeModelHitbox(createHazardObject(kind));
+}
+
+// A hazard ready to place, facing -Z (toward the plane)
+function createHazardObject(kind) {
+    if (!hazardTemplates[kind] && !fallbackHazardTemplates[kind]) {
+        fallbackHazardTemplates[kind] = createFallbackHazardModel(kind);
+    }
+
+    // Clones share the template's geometry and materials
+    const object = (hazardTemplates[kind] || fallbackHazardTemplates[kind]).clone();
+    object.rotation.set(0, Math.PI, 0);
+    return object;
+}
+
+// Simple shapes: a flat drone and a red-tipped missile
+function createFallbackHazardModel(kind) {
+    const group = new THREE.Group();
+    const bodyMaterial = new THREE.MeshStandardMaterial({ color: 0x444444, roughness: 0.6, metalness: 0.5 });
+
+    if (kind === 'drone') {
+        const wings = new THREE.Mesh(new THREE.BoxGeometry(5, 0.3, 1.2), bodyMaterial);
+        const body = new THREE.Mesh(new THREE.BoxGeometry(0.8, 0.8, 4), bodyMaterial);
+        group.add(wings, body);
+    } else {
+        const body = new THREE.Mesh(new THREE.CylinderGeometry(0.25, 0.25, 2.6, 8), bodyMaterial);
+        body.rotation.x = Math.PI / 2;
+        const tip = new THREE.Mesh(
+            new THREE.ConeGeometry(0.25, 0.4, 8),
+            new THREE.MeshStandardMaterial({ color: 0xff2200, emissive: 0xff2200, emissiveIntensity: 0.6 })
+        );
+        tip.rotation.x = Math.PI / 2;
+        tip.position.z = 1.5;
+        group.add(body, tip);
+    }
+
+    group.traverse((child) => {
+        if (child.isMesh) child.castShadow = true;
+    });
+    return group;
+}
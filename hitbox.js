@@ -0,0 +1,89 @@
+// Collision volumes built from loaded GLB models, in the box format GameCore uses
+
+// ===== HITBOX SETTINGS =====
+// 'bounds'   - one box around the whole model
+// 'meshes'   - one box per mesh in the model
+// 'compound' - each mesh split into slices along its longest side (closest fit)
+const HITBOX_MODE = 'compound';
+const HITBOX_SLICES = 4; // Slices per mesh in 'compound' mode
+// ===========================
+
+// Compute the hitbox of a model relative to its origin
+// Includes the model's own scale and rotation, but not its position
+function computeModelHitbox(model, mode = HITBOX_MODE) {
+    // Measure with the model at the origin
+    const savedPosition = model.position.clone();
+    model.position.set(0, 0, 0);
+    model.updateMatrixWorld(true);
+
+    const boxes = [];
+    model.traverse((child) => {
+        if (!child.isMesh || !child.geometry || !child.geometry.attributes.position) return;
+
+        if (mode === 'compound') {
+            boxes.push(...computeSlicedBoxes(child, HITBOX_SLICES));
+        } else {
+            const box = new THREE.Box3().setFromObject(child);
+            if (!box.isEmpty()) boxes.push(toHitboxBox(box));
+        }
+    });
+
+    model.position.copy(savedPosition);
+    model.updateMatrixWorld(true);
+
+    if (mode === 'bounds' && boxes.length > 1) {
+        return [boxes.reduce(unionHitboxBoxes)];
+    }
+    return boxes;
+}
+
+// Split a mesh's vertices into slices along its longest side and box each slice
+function computeSlicedBoxes(mesh, sliceCount) {
+    const positions = mesh.geometry.attributes.position;
+    const vertex = new THREE.Vector3();
+
+    // Vertices in model space
+    const points = [];
+    const bounds = new THREE.Box3();
+    for (let i = 0; i < positions.count; i++) {
+        vertex.fromBufferAttribute(positions, i).applyMatrix4(mesh.matrixWorld);
+        points.push(vertex.clone());
+        bounds.expandByPoint(vertex);
+    }
+    if (bounds.isEmpty()) return [];
+
+    // Slice along the longest axis
+    const size = bounds.getSize(new THREE.Vector3());
+    const axis = size.x >= size.y && size.x >= size.z ? 'x' : (size.y >= size.z ? 'y' : 'z');
+    const sliceSize = size[axis] / sliceCount;
+    if (sliceSize === 0) return [toHitboxBox(bounds)];
+
+    const slices = [];
+    for (let i = 0; i < sliceCount; i++) {
+        slices.push(new THREE.Box3());
+    }
+    points.forEach(point => {
+        const index = Math.min(Math.floor((point[axis] - bounds.min[axis]) / sliceSize), sliceCount - 1);
+        slices[index].expandByPoint(point);
+    });
+
+    return slices.filter(slice => !slice.isEmpty()).map(toHitboxBox);
+}
+
+// Convert a THREE.Box3 to a hitbox box
+function toHitboxBox(box) {
+    return {
+        minX: box.min.x, maxX: box.max.x,
+        minY: box.min.y, maxY: box.max.y,
+        minZ: box.min.z, maxZ: box.max.z
+    };
+}
+
+// Smallest hitbox box containing both boxes
+function unionHitboxBoxes(a, b) {
+    return {
+        minX: Math.min(a.minX, b.minX), maxX: Math.max(a.maxX, b.maxX),
+        minY: Math.min(a.minY, b.minY), maxY: Math.max(a.maxY, b.maxY),
+        minZ: Math.min(a.minZ, b.minZ), maxZ: Math.max(a.maxZ, b.maxZ)
+    };
+}
@@ -0,0 +1,258 @@
+// Level definitions - every level is a JSON file in the levels folder, listed in levels/index.json
+// Add a level by writing a new file and adding it to the list, levels are numbered in list order
+//
+// Level file format (everything except distance can be left out to use the defaults below):
+// name     - shown on the level button
+// distance - metres from the start to the finish
+// theme    - groundStyle: texture pattern painted on the ground ('grass', 'ice', 'desert', 'halloween' or 'clouds')
+//            groundColor / groundVariation: base colour and the colour its speckles are shaded from
+//            groundRoughness / groundMetalness: ground material, lower roughness is shinier
+//            skyColor, fogColor, ambientLight: CSS colour strings like '#87CEEB'
+//            skyBackground: image drawn on the horizon, or null for a plain sky
+// obstacle - model: GLB file the pillars are drawn with
+// course   - pillarSpacing, minPillarsPerRow, maxPillarsPerRow, safeZone, finishClearance (see DEFAULT_COURSE in core.js)
+// ring     - x, y and distanceFromEnd of the golden ring (see DEFAULT_RING in core.js)
+// hazards  - droneChance (0-1 per lane between rows) and missileInterval (metres, 0 for none)
+// pickups  - chance (0-1 per lane) and the odds of each kind: coin, boost, shield, slowTime (see DEFAULT_PICKUPS in core.js)
+// stars    - scores needed for two and three stars { two, three }, finishing earns one (default: scaled by distance)
+// medals   - time trial target times in seconds { bronze, silver, gold } (default: scaled by distance)
+// obstacles - hand-placed pillars [{ x, z }] used instead of the random rows (the level editor writes these)
+// rings    - extra rings [{ x, y, z }] to fly through for bonus points
+// checkpoints - rings [{ x, y, z }] a crash can be retried from, lives is how many retries a run gets (default 3)
+// File paths inside a level are relative to the page, like the other assets
+
+const LEVEL_INDEX_FILE = 'levels/index.json';
+const LEVEL_FOLDER = 'levels/';
+
+const DEFAULT_LEVEL_THEME = {
+    groundStyle: 'grass',
+    groundColor: '#3a9d23',
+    groundVariation: { r: 58, g: 157, b: 35 },
+    groundRoughness: 0.8,
+    groundMetalness: 0.1,
+    skyColor: '#87CEEB',
+    fogColor: '#87CEEB',
+    ambientLight: '#ffffff',
+    skyBackground: null
+};
+const DEFAULT_OBSTACLE = { model: 'log.glb' };
+
+// Numbers a level file can set in its course, ring, hazards and pickups, with the values each allows
+// (min/max inclusive, above: must be greater than, integer: whole numbers only)
+// A bad value here could stall the course generator, so the whole file is rejected instead
+const LEVEL_NUMBER_RULES = {
+    course: {
+        pillarSpacing: { above: 0 },
+        minPillarsPerRow: { min: 0, integer: true },
+        maxPillarsPerRow: { min: 0, integer: true },
+        safeZone: { min: 0 },
+        finishClearance: { min: 0 }
+    },
+    ring: {
+        x: {},
+        y: {},
+        distanceFromEnd: { min: 0 }
+    },
+    hazards: {
+        droneChance: { min: 0, max: 1 },
+        missileInterval: { min: 0 }
+    },
+    pickups: {
+        chance: { min: 0, max: 1 },
+        coin: { min: 0 },
+        boost: { min: 0 },
+        shield: { min: 0 },
+        slowTime: { min: 0 }
+    }
+};
+
+// Star scores of levels that don't set their own, per metre of the level
+// Passing every pillar scores about 0.4 a metre, so the extra stars need coins, rings and near misses
+const MAX_STARS = 3;
+const DEFAULT_STAR_SCORES_PER_METRE = { two: 0.5, three: 0.8 };
+
+// Time trial medals, worst first, and the average speeds (m/s) their default target times need
+const MEDALS = ['bronze', 'silver', 'gold'];
+const MEDAL_NAMES = { bronze: 'Bronze', silver: 'Silver', gold: 'Gold' };
+const DEFAULT_MEDAL_SPEEDS = { bronze: 40, silver: 60, gold: 90 };
+
+// Load every level listed in the index, resolves with them in order
+function loadLevelDefinitions() {
+    return fetchJson(LEVEL_INDEX_FILE).then(index => {
+        if (!index || !Array.isArray(index.levels) || index.levels.length === 0) {
+            throw new Error(`${LEVEL_INDEX_FILE} does not list any levels.`);
+        }
+
+        return Promise.all(index.levels.map(file => fetchJson(LEVEL_FOLDER + file)
+            .then(data => normalizeLevelDefinition(data, file))));
+    });
+}
+
+function fetchJson(url) {
+    return fetch(url).then(response => {
+        if (!response.ok) {
+            throw new Error(`Could not load ${url} (${response.status}).`);
+        }
+        return response.json();
+    });
+}
+
+// Fill in defaults for anything a level file leaves out
+function normalizeLevelDefinition(data, file) {
+    if (!data || typeof data !== 'object') {
+        throw new Error(`${file} does not contain a level.`);
+    }
+
+    const distance = Number(data.distance);
+    if (!Number.isFinite(distance) || distance <= 0) {
+        throw new Error(`${file} needs a positive distance.`);
+    }
+
+    // Pillars per row the file leaves out are GameCore's defaults
+    const course = readLevelNumbers(data.course, 'course', file);
+    const coreDefaults = (typeof GameCore !== 'undefined' ? GameCore : require('./core.js')).DEFAULT_COURSE;
+    const rowRange = Object.assign({}, coreDefaults, course);
+    if (rowRange.minPillarsPerRow > rowRange.maxPillarsPerRow) {
+        throw new Error(`${file} has a course whose minPillarsPerRow is above its maxPillarsPerRow.`);
+    }
+
+    return {
+        file: file,
+        name: typeof data.name === 'string' ? data.name : '',
+        distance: distance,
+        theme: Object.assign({}, DEFAULT_LEVEL_THEME, data.theme),
+        obstacle: Object.assign({}, DEFAULT_OBSTACLE, data.obstacle),
+        course: course, // GameCore fills in the rest
+        ring: readLevelNumbers(data.ring, 'ring', file),
+        hazards: readLevelNumbers(data.hazards, 'hazards', file),
+        pickups: readLevelNumbers(data.pickups, 'pickups', file), // GameCore fills in the rest
+        stars: readStarScores(data.stars), // Scaled by distance if left out, see getStarScores
+        medals: readMedalTimes(data.medals), // Scaled by distance if left out, see getMedalTimes
+        obstacles: Array.isArray(data.obstacles) ? data.obstacles.map(point => readPoint(point, ['x', 'z'], file)) : null,
+        rings: Array.isArray(data.rings) ? data.rings.map(point => readPoint(point, ['x', 'y', 'z'], file)) : [],
+        checkpoints: Array.isArray(data.checkpoints) ?
+            data.checkpoints.map(point => readPoint(point, ['x', 'y', 'z'], file)) : [],
+        lives: Number.isInteger(data.lives) && data.lives >= 0 ? data.lives : undefined // GameCore's default if left out
+    };
+}
+
+// Copy the numbers a level sets in one of its sections (see LEVEL_NUMBER_RULES), other keys are dropped
+function readLevelNumbers(values, section, file) {
+    const copy = {};
+    if (values === undefined || values === null) return copy;
+    if (typeof values !== 'object') {
+        throw new Error(`${file} has a ${section} that isn't an object.`);
+    }
+
+    const rules = LEVEL_NUMBER_RULES[section];
+    Object.keys(rules).forEach(key => {
+        if (values[key] === undefined) return;
+
+        const rule = rules[key];
+        const raw = values[key];
+        // Number() would read null, true and '' as numbers too
+        const value = typeof raw === 'number' || (typeof raw === 'string' && raw.trim() !== '') ? Number(raw) : NaN;
+        const valid = Number.isFinite(value) &&
+            (rule.min === undefined || value >= rule.min) &&
+            (rule.max === undefined || value <= rule.max) &&
+            (rule.above === undefined || value > rule.above) &&
+            (!rule.integer || Number.isInteger(value));
+        if (!valid) {
+            throw new Error(`${file} has an invalid ${section} ${key} (${JSON.stringify(raw)}).`);
+        }
+        copy[key] = value;
+    });
+    return copy;
+}
+
+// Copy the named coordinates of a placed object, all of which must be numbers
+function readPoint(point, keys, file) {
+    const copy = {};
+    keys.forEach(key => {
+        copy[key] = Number(point && point[key]);
+        if (!Number.isFinite(copy[key])) {
+            throw new Error(`${file} has an object without a valid ${key} position.`);
+        }
+    });
+    return copy;
+}
+
+// Copy the star scores a level file sets
+function readStarScores(stars) {
+    const scores = {};
+    ['two', 'three'].forEach(key => {
+        if (stars && Number.isFinite(Number(stars[key]))) scores[key] = Number(stars[key]);
+    });
+    return scores;
+}
+
+// Scores for two and three stars, the ones a level leaves out are scaled by its distance
+function getStarScores(level) {
+    return {
+        two: level.stars.two !== undefined ? level.stars.two : Math.round(level.distance * DEFAULT_STAR_SCORES_PER_METRE.two),
+        three: level.stars.three !== undefined ? level.stars.three :
+            Math.round(level.distance * DEFAULT_STAR_SCORES_PER_METRE.three)
+    };
+}
+
+// Stars earned by finishing a level with a score: one for finishing, more for reaching its star scores
+function getStarRating(level, score) {
+    const scores = getStarScores(level);
+    if (score >= scores.three) return 3;
+    if (score >= scores.two) return 2;
+    return 1;
+}
+
+// Copy the medal times a level file sets
+function readMedalTimes(medals) {
+    const times = {};
+    MEDALS.forEach(medal => {
+        if (medals && Number(medals[medal]) > 0) times[medal] = Number(medals[medal]);
+    });
+    return times;
+}
+
+// Target seconds for each medal, the ones a level leaves out are scaled by its distance
+function getMedalTimes(level) {
+    const times = {};
+    MEDALS.forEach(medal => {
+        times[medal] = level.medals[medal] !== undefined ? level.medals[medal] :
+            Math.round(level.distance / DEFAULT_MEDAL_SPEEDS[medal]);
+    });
+    return times;
+}
+
+// Best medal a time trial finished in this many seconds earns, or null
+function getMedal(level, seconds) {
+    const times = getMedalTimes(level);
+    for (let i = MEDALS.length - 1; i >= 0; i--) {
+        if (seconds <= times[MEDALS[i]]) return MEDALS[i];
+    }
+    return null;
+}
+
+// A level in the file format, ready to save as JSON
+function serializeLevelDefinition(level) {
+    const data = {
+        name: level.name,
+        distance: level.distance,
+        theme: level.theme,
+        obstacle: level.obstacle,
+        course: level.course,
+        ring: level.ring,
+        hazards: level.hazards,
+        pickups: level.pickups,
+        stars: level.stars,
+        medals: level.medals
+    };
+    if (level.obstacles) data.obstacles = level.obstacles;
+    if (level.rings.length) data.rings = level.rings;
+    if (level.checkpoints.length) data.checkpoints = level.checkpoints;
+    if (level.lives !== undefined) data.lives = level.lives;
+    return data;
+}
+
+// Shared with the headless game core under Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { normalizeLevelDefinition, serializeLevelDefinition, getStarRating, getMedalTimes, getMedal };
+}
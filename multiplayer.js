@@ -0,0 +1,519 @@
+// Online races - race players on other machines through the relay in server/multiplayer-server.js
+// The room's host picks the level and seed, every game flies its own copy of that course
+// Plane snapshots are streamed a few times a second and remote planes are drawn slightly in the past,
+// between the two snapshots around that moment, so they move smoothly despite network jitter
+
+// ===== MULTIPLAYER =====
+const MULTIPLAYER_DEFAULT_SERVER = 'ws://localhost:8080'; // Used when the page isn't served by the relay
+const SNAPSHOT_RATE = 15; // Plane snapshots sent per second
+const INTERPOLATION_DELAY = 150; // Milliseconds remote planes are drawn behind their snapshots
+const MAX_SNAPSHOTS = 30; // Snapshots kept per remote plane
+// =======================
+
+let multiplayerSocket = null; // Connection to the relay, null when playing alone
+let multiplayerId = null; // Our id in the room
+let multiplayerName = ''; // Our name in the room (the relay names players who didn't pick one)
+let multiplayerHostId = null;
+let remotePlayers = new Map(); // Id -> { id, name, aircraftId, snapshots, model, modelFor, result }
+let raceSetup = null; // { level, seed } picked by the host
+let onlineRace = false; // The run being flown was started by the host (until the next run or the menu)
+let raceResult = null; // Our finish message once the run is over
+let countdownTimer = null;
+let lastSentSetup = '';
+
+// Hook up the online race controls on the start screen
+function initMultiplayer() {
+    const servedByRelay = location.protocol === 'http:' || location.protocol === 'https:';
+    document.getElementById('multiplayer-server').value = servedByRelay
+        ? `${location.protocol === 'https:' ? 'wss' : 'ws'}://${location.host}`
+        : MULTIPLAYER_DEFAULT_SERVER;
+    document.getElementById('multiplayer-name').value = getSetting('playerName');
+
+    document.getElementById('multiplayer-join-btn').addEventListener('click', connectMultiplayer);
+    document.getElementById('multiplayer-leave-btn').addEventListener('click', disconnectMultiplayer);
+    document.getElementById('multiplayer-start-btn').addEventListener('click', () => sendMultiplayer({ type: 'start' }));
+    document.getElementById('multiplayer-level').addEventListener('change', event => selectRaceLevel(Number(event.target.value)));
+    updateLobby();
+}
+
+// Join the room typed on the start screen
+function connectMultiplayer() {
+    if (multiplayerSocket) return;
+
+    const name = document.getElementById('multiplayer-name').value.trim();
+    const room = document.getElementById('multiplayer-room').value.trim();
+    setSetting('playerName', name);
+
+    let socket;
+    try {
+        socket = new WebSocket(document.getElementById('multiplayer-server').value.trim());
+    } catch (error) {
+        setLobbyStatus(`Can't connect: ${error.message}`);
+        return;
+    }
+
+    multiplayerSocket = socket;
+    setLobbyStatus('Connecting...');
+    socket.addEventListener('open', () => {
+        sendMultiplayer({ type: 'join', room: room, name: name, aircraft: getSelectedAircraft().id });
+    });
+    socket.addEventListener('message', event => {
+        let message;
+        try {
+            message = JSON.parse(event.data);
+        } catch (error) {
+            return;
+        }
+        handleMultiplayerMessage(message);
+    });
+    socket.addEventListener('close', () => {
+        if (multiplayerSocket === socket) onMultiplayerDisconnected();
+    });
+}
+
+// Leave the room on purpose
+function disconnectMultiplayer() {
+    if (!multiplayerSocket) return;
+
+    const socket = multiplayerSocket;
+    onMultiplayerDisconnected();
+    socket.close();
+    setLobbyStatus('');
+}
+
+// The connection is gone: forget the room, and carry on any race alone
+function onMultiplayerDisconnected() {
+    const wasConnected = multiplayerId !== null;
+    multiplayerSocket = null;
+    multiplayerId = null;
+    multiplayerHostId = null;
+    raceSetup = null;
+    lastSentSetup = '';
+    cancelRaceCountdown();
+    remotePlayers.forEach(releaseRemotePlaneModel);
+    remotePlayers.clear();
+
+    setLobbyStatus(wasConnected ? 'Disconnected from the server.' : 'Could not reach the server.');
+    updateLobby();
+    updateRaceStandings();
+
+    // The run keeps its course, so it just becomes a solo flight
+    if (onlineRace && gameStarted && !gameOver) {
+        showHudMessage('Connection lost - racing solo');
+    }
+}
+
+function isMultiplayerConnected() {
+    return multiplayerId !== null;
+}
+
+function isRaceHost() {
+    return isMultiplayerConnected() && multiplayerHostId === multiplayerId;
+}
+
+function sendMultiplayer(message) {
+    if (multiplayerSocket && multiplayerSocket.readyState === WebSocket.OPEN) {
+        multiplayerSocket.send(JSON.stringify(message));
+    }
+}
+
+// React to a message from the relay
+function handleMultiplayerMessage(message) {
+    switch (message.type) {
+        case 'welcome':
+            multiplayerId = message.id;
+            multiplayerHostId = message.hostId;
+            message.players.forEach(player => {
+                if (player.id === multiplayerId) {
+                    multiplayerName = player.name;
+                } else {
+                    addRemotePlayer(player);
+                }
+            });
+            setLobbyStatus('');
+            if (message.setup) applyRaceSetup(message.setup);
+            sendRaceSetup();
+            break;
+        case 'playerJoined':
+            addRemotePlayer(message.player);
+            break;
+        case 'playerLeft':
+            removeRemotePlayer(message.id);
+            break;
+        case 'host':
+            multiplayerHostId = message.id;
+            sendRaceSetup();
+            break;
+        case 'setup':
+            applyRaceSetup(message);
+            break;
+        case 'countdown':
+            startRaceCountdown(message);
+            break;
+        case 'state':
+            receiveSnapshot(message);
+            break;
+        case 'finish':
+            receiveRaceResult(message);
+            break;
+        case 'error':
+            setLobbyStatus(message.message);
+            break;
+    }
+
+    // Snapshots and results only change the race standings
+    if (message.type !== 'state' && message.type !== 'finish') updateLobby();
+}
+
+function addRemotePlayer(player) {
+    remotePlayers.set(player.id, {
+        id: player.id,
+        name: player.name,
+        aircraftId: player.aircraft, // Roster id of the aircraft they fly
+        snapshots: [],
+        model: null,
+        modelFor: null, // Aircraft id the model was (or is being) built for
+        result: null
+    });
+    updateRaceStandings();
+}
+
+function removeRemotePlayer(id) {
+    const remote = remotePlayers.get(id);
+    if (!remote) return;
+
+    releaseRemotePlaneModel(remote);
+    remotePlayers.delete(id);
+    updateRaceStandings();
+}
+
+// ===== LOBBY =====
+
+// Tell the room which level and seed the host has picked (only the host's choice counts)
+function sendRaceSetup() {
+    if (!isRaceHost() || !LEVELS[currentLevel - 1]) return;
+
+    const setup = { level: currentLevel, seed: courseSeed };
+    const key = `${setup.level}:${setup.seed}`;
+    if (key === lastSentSetup) return;
+
+    lastSentSetup = key;
+    raceSetup = setup;
+    sendMultiplayer(Object.assign({ type: 'setup' }, setup));
+}
+
+// Follow the host's level and seed, shown on the start screen while waiting there
+function applyRaceSetup(setup) {
+    raceSetup = { level: setup.level, seed: setup.seed };
+    if (isOnStartScreen() && LEVELS[setup.level - 1]) {
+        currentLevel = setup.level;
+        levelDistance = LEVELS[setup.level - 1].distance;
+        setCourseSeed(setup.seed);
+    }
+}
+
+// The host picks the race's level on the start screen (sent on with the seed by updateSeedDisplay)
+function selectRaceLevel(levelNum) {
+    if (!isRaceHost() || !LEVELS[levelNum - 1]) return;
+
+    currentLevel = levelNum;
+    levelDistance = LEVELS[levelNum - 1].distance;
+    updateSeedDisplay();
+    updateLobby();
+}
+
+function isOnStartScreen() {
+    return !document.getElementById('start-screen').classList.contains('hidden');
+}
+
+// Show who's in the room, and the start button to the host
+function updateLobby() {
+    const connected = isMultiplayerConnected();
+    document.getElementById('multiplayer-join').classList.toggle('hidden', !!multiplayerSocket);
+    document.getElementById('multiplayer-lobby').classList.toggle('hidden', !connected);
+    if (!connected) return;
+
+    const list = document.getElementById('multiplayer-players');
+    list.innerHTML = '';
+    const names = [[multiplayerId, `${multiplayerName} (you)`]]
+        .concat(Array.from(remotePlayers.values()).map(remote => [remote.id, remote.name]));
+    names.forEach(([id, name]) => {
+        const item = document.createElement('li');
+        item.textContent = id === multiplayerHostId ? `${name} - host` : name;
+        list.appendChild(item);
+    });
+
+    const course = raceSetup ? `Level ${raceSetup.level}, course ${encodeCourseCode(raceSetup.level, raceSetup.seed)}` : '';
+    document.getElementById('multiplayer-course').textContent = course;
+    // Only the host picks the level (any level, locked or not, so the whole room can race it)
+    const levelSelect = document.getElementById('multiplayer-level');
+    if (levelSelect.options.length !== LEVELS.length) {
+        levelSelect.innerHTML = '';
+        LEVELS.forEach(level => levelSelect.add(new Option(`Level ${level.number}`, level.number)));
+    }
+    levelSelect.value = currentLevel;
+    levelSelect.classList.toggle('hidden', !isRaceHost());
+
+    document.getElementById('multiplayer-start-btn').classList.toggle('hidden', !isRaceHost());
+    document.getElementById('multiplayer-start-btn').disabled = !raceSetup;
+    document.getElementById('multiplayer-waiting').classList.toggle('hidden', isRaceHost());
+}
+
+function setLobbyStatus(text) {
+    document.getElementById('multiplayer-status').textContent = text;
+}
+
+// ===== RACE =====
+
+// Count down to the race start, then fly the host's course (ignored while flying or editing)
+function startRaceCountdown(message) {
+    if ((gameStarted && !gameOver) || customLevel || isEditorOpen() || !LEVELS[message.level - 1]) {
+        setLobbyStatus('A race started while you were busy.');
+        return;
+    }
+
+    raceSetup = { level: message.level, seed: message.seed };
+    cancelRaceCountdown();
+    if (isSettingsOpen()) closeSettings();
+
+    const display = document.getElementById('race-countdown');
+    const startTime = performance.now() + message.delay;
+    const tick = () => {
+        const remaining = startTime - performance.now();
+        if (remaining <= 0) {
+            display.classList.add('hidden');
+            countdownTimer = null;
+            beginOnlineRace(raceSetup);
+            showHudMessage('Go!');
+            return;
+        }
+        display.textContent = Math.ceil(remaining / 1000);
+        display.classList.remove('hidden');
+        countdownTimer = setTimeout(tick, Math.min(remaining, 100));
+    };
+    tick();
+}
+
+function cancelRaceCountdown() {
+    clearTimeout(countdownTimer);
+    countdownTimer = null;
+    document.getElementById('race-countdown').classList.add('hidden');
+}
+
+// Start the race run on the host's level and seed, from the start or game over screen
+function beginOnlineRace(setup) {
+    if (endlessMode) stopEndless();
+    if (splitScreenMode) stopSplitScreen();
+
+    currentLevel = setup.level;
+    levelDistance = LEVELS[setup.level - 1].distance;
+    setCourseSeed(setup.seed);
+
+    onlineRace = true;
+    raceResult = null;
+    remotePlayers.forEach(remote => {
+        remote.snapshots = [];
+        remote.result = null;
+    });
+
+    document.getElementById('start-screen').classList.add('hidden');
+    restartLevel();
+    updateRaceStandings();
+}
+
+// Stop racing (the player restarted, watched a replay or went back to the menu), telling the room we quit
+function leaveOnlineRace() {
+    if (!onlineRace) return;
+
+    if (!raceResult) {
+        sendMultiplayer({ type: 'finish', status: 'quit', distance: Math.floor(gameState.distance), score: gameState.score });
+    }
+    onlineRace = false;
+    raceResult = null;
+    remotePlayers.forEach(remote => {
+        if (remote.model) remote.model.visible = false;
+    });
+    updateRaceStandings();
+}
+
+// Send our plane every few steps while racing (called after each simulation step)
+function sendPlaneSnapshot() {
+    if (!onlineRace || !isMultiplayerConnected() || gameState.status !== 'running') return;
+
+    // A crashed run retried from a checkpoint is racing again
+    raceResult = null;
+    if (gameState.tick % Math.round(GameCore.SIMULATION_RATE / SNAPSHOT_RATE) !== 0) return;
+
+    const { position, rotation } = gameState.plane;
+    const round = value => Math.round(value * 1000) / 1000;
+    sendMultiplayer({
+        type: 'state',
+        tick: gameState.tick,
+        aircraft: getSelectedAircraft().id,
+        position: [round(position.x), round(position.y), round(position.z)],
+        rotation: [round(rotation.x), round(rotation.y), round(rotation.z)],
+        distance: Math.floor(gameState.distance),
+        score: gameState.score
+    });
+    updateRaceStandings();
+}
+
+// Tell the room how our run ended (called when the level is completed or the plane crashes)
+function finishOnlineRun() {
+    if (!onlineRace) return;
+
+    raceResult = {
+        type: 'finish',
+        status: gameState.status,
+        time: gameState.status === 'complete' ? getElapsedTime(gameState) : null,
+        distance: Math.floor(gameState.distance),
+        score: gameState.score
+    };
+    sendMultiplayer(raceResult);
+    updateRaceStandings();
+}
+
+// Keep a remote plane's snapshot, stamped with when it arrived
+function receiveSnapshot(message) {
+    const remote = remotePlayers.get(message.id);
+    if (!remote || !onlineRace) return;
+
+    // Still flying, so an earlier crash was retried from a checkpoint
+    if (remote.result && remote.result.status === 'crashed') remote.result = null;
+    if (typeof message.aircraft === 'string') remote.aircraftId = message.aircraft;
+
+    remote.snapshots.push({
+        time: performance.now(),
+        tick: message.tick,
+        position: message.position,
+        rotation: message.rotation,
+        distance: message.distance,
+        score: message.score
+    });
+    if (remote.snapshots.length > MAX_SNAPSHOTS) remote.snapshots.shift();
+}
+
+function receiveRaceResult(message) {
+    const remote = remotePlayers.get(message.id);
+    if (!remote || !onlineRace) return;
+
+    remote.result = message;
+    updateRaceStandings();
+}
+
+// Players in race order: finishers by time, then everyone else by distance
+function getRaceStandings() {
+    const entries = [{ name: 'You', result: raceResult, distance: Math.floor(gameState.distance) }];
+    remotePlayers.forEach(remote => {
+        const latest = remote.snapshots[remote.snapshots.length - 1];
+        if (!latest && !remote.result) return; // Not in this race
+        entries.push({
+            name: remote.name,
+            result: remote.result,
+            distance: remote.result ? remote.result.distance : latest.distance
+        });
+    });
+
+    const finishTime = entry => entry.result && entry.result.status === 'complete' ? entry.result.time : Infinity;
+    return entries.sort((a, b) => (finishTime(a) - finishTime(b)) || (b.distance - a.distance));
+}
+
+// List the racers on the HUD and the game over screen, like "1. Sam 1:02.33 / 2. You 840m"
+function updateRaceStandings() {
+    const racing = onlineRace && remotePlayers.size > 0;
+    document.getElementById('race-standings-container').classList.toggle('hidden', !racing);
+    document.getElementById('final-race-line').classList.toggle('hidden', !racing);
+    if (!racing) return;
+
+    const describe = entry => {
+        if (!entry.result) return `${entry.distance}m`;
+        if (entry.result.status === 'complete') return formatTime(entry.result.time);
+        return `${entry.result.status === 'quit' ? 'quit' : 'crashed'} at ${entry.distance}m`;
+    };
+    const text = getRaceStandings()
+        .map((entry, index) => `${index + 1}. ${entry.name} ${describe(entry)}`)
+        .join(' / ');
+    document.getElementById('race-standings').textContent = text;
+    document.getElementById('final-race').textContent = text;
+}
+
+// ===== REMOTE PLANES =====
+
+// Draw each remote plane where it was INTERPOLATION_DELAY ago, between the snapshots around then
+function renderRemotePlanes() {
+    const renderTime = performance.now() - INTERPOLATION_DELAY;
+
+    remotePlayers.forEach(remote => {
+        const snapshots = remote.snapshots;
+        const flying = onlineRace && snapshots.length > 0 && !remote.result;
+        if (flying && remote.modelFor !== remote.aircraftId) {
+            loadRemotePlaneModel(remote, getRemoteAircraft(remote));
+        }
+        if (!flying || !remote.model) {
+            if (remote.model) remote.model.visible = false;
+            return;
+        }
+
+        // Hold the oldest or newest snapshot outside the buffered time
+        let from = snapshots[0];
+        let to = from;
+        for (let i = snapshots.length - 1; i >= 0; i--) {
+            if (snapshots[i].time <= renderTime) {
+                from = snapshots[i];
+                to = snapshots[Math.min(i + 1, snapshots.length - 1)];
+                break;
+            }
+        }
+        const span = to.time - from.time;
+        const t = span > 0 ? Math.min(1, (renderTime - from.time) / span) : 0;
+        const lerp = (a, b) => a + (b - a) * t;
+
+        remote.model.visible = true;
+        remote.model.position.set(
+            lerp(from.position[0], to.position[0]),
+            lerp(from.position[1], to.position[1]),
+            lerp(from.position[2], to.position[2])
+        );
+        remote.model.rotation.z = lerp(from.rotation[2], to.rotation[2]);
+        remote.model.rotation.x = lerp(from.rotation[0], to.rotation[0]);
+        remote.model.rotation.y = lerp(from.rotation[1], to.rotation[1]);
+    });
+}
+
+// The roster entry of the aircraft a remote player flies (the default one if this game doesn't know it)
+function getRemoteAircraft(remote) {
+    return AIRCRAFT.find(aircraft => aircraft.id === remote.aircraftId) || AIRCRAFT[0];
+}
+
+// Build a remote player's plane from an aircraft's model (copies share the cached geometry and materials)
+// Falls back to the default aircraft's model if it won't load
+function loadRemotePlaneModel(remote, look) {
+    const aircraftId = remote.aircraftId;
+    releaseRemotePlaneModel(remote);
+    remote.modelFor = aircraftId;
+
+    loadModel(look.file, enableModelShadows).then(
+        function (template) {
+            // They left, or switched aircraft, while it loaded
+            if (remotePlayers.get(remote.id) !== remote || remote.modelFor !== aircraftId) return;
+
+            remote.model = buildAircraftModel(template, look);
+            remote.model.visible = false; // Until renderRemotePlanes places it
+            scene.add(remote.model);
+        },
+        function (error) {
+            console.error(`Error loading the ${look.name} model for ${remote.name}:`, error);
+            if (remote.modelFor === aircraftId && look !== AIRCRAFT[0]) {
+                loadRemotePlaneModel(remote, AIRCRAFT[0]);
+            }
+        }
+    );
+}
+
+function releaseRemotePlaneModel(remote) {
+    remote.modelFor = null;
+    if (!remote.model) return;
+
+    scene.remove(remote.model);
+    remote.model = null;
+}
@@ -0,0 +1,105 @@
+// Pickup rendering - coins, speed boosts, shields and slow-time drawn as simple glowing shapes
+// Each kind is built once and cloned, clones share its geometry and materials and are reused once collected
+// Objects are kept by the simulation's pickup (split-screen players each have pickups with the same ids)
+
+// ===== PICKUP LOOK =====
+const PICKUP_COLORS = {
+    coin: 0xffd700,
+    boost: 0xff5500,
+    shield: 0x33aaff,
+    slowTime: 0xaa66ff
+};
+const PICKUP_SPIN_RATE = 2; // Radians per second pickups turn on the spot
+const PICKUP_BOB_HEIGHT = 0.3; // Metres pickups float up and down
+// =======================
+
+let pickupTemplates = {}; // Kind -> shape to clone (built when first needed)
+let pickupObjects = new Map(); // Pickup -> { pickup, object }
+let pooledPickupObjects = {}; // Kind -> hidden objects ready to be reused
+
+// Start drawing a pickup from the simulation, on a split-screen player's layer if given
+function showPickup(pickup, layer = 0) {
+    if (pickupObjects.has(pickup)) return;
+
+    const pool = pooledPickupObjects[pickup.kind];
+    const object = pool && pool.length ? pool.pop() : createPickupObject(pickup.kind);
+    object.position.set(pickup.x, pickup.y, pickup.z);
+    setObjectLayer(object, layer);
+    scene.add(object);
+    pickupObjects.set(pickup, { pickup: pickup, object: object });
+}
+
+// Stop drawing a pickup that was collected or left behind
+function hidePickup(pickup) {
+    const entry = pickupObjects.get(pickup);
+    if (!entry) return;
+
+    releasePickupObject(entry);
+    pickupObjects.delete(pickup);
+}
+
+// Stop drawing every pickup
+function hideAllPickups() {
+    pickupObjects.forEach(releasePickupObject);
+    pickupObjects.clear();
+}
+
+// Take a pickup's object out of the scene and keep it for the next pickup of its kind
+function releasePickupObject(entry) {
+    scene.remove(entry.object);
+    const kind = entry.pickup.kind;
+    if (!pooledPickupObjects[kind]) {
+        pooledPickupObjects[kind] = [];
+    }
+    pooledPickupObjects[kind].push(entry.object);
+}
+
+// Spin and bob the drawn pickups (time in seconds, only for looks)
+function updatePickupObjects(time) {
+    pickupObjects.forEach(({ pickup, object }) => {
+        object.rotation.y = time * PICKUP_SPIN_RATE;
+        object.position.y = pickup.y + Math.sin(time * 3 + pickup.id) * PICKUP_BOB_HEIGHT;
+    });
+}
+
+function createPickupObject(kind) {
+    if (!pickupTemplates[kind]) {
+        pickupTemplates[kind] = createPickupModel(kind);
+    }
+    return pickupTemplates[kind].clone();
+}
+
+// A coin, an arrow for boosts, a bubble for shields and an hourglass for slow-time
+function createPickupModel(kind) {
+    const group = new THREE.Group();
+    const material = new THREE.MeshStandardMaterial({
+        color: PICKUP_COLORS[kind],
+        emissive: PICKUP_COLORS[kind],
+        emissiveIntensity: 0.4,
+        roughness: 0.3,
+        metalness: 0.6
+    });
+
+    if (kind === 'coin') {
+        const coin = new THREE.Mesh(new THREE.CylinderGeometry(1.2, 1.2, 0.25, 24), material);
+        coin.rotation.x = Math.PI / 2;
+        group.add(coin);
+    } else if (kind === 'boost') {
+        const arrow = new THREE.Mesh(new THREE.ConeGeometry(1, 2.2, 12), material);
+        arrow.rotation.x = Math.PI / 2; // Points along the course
+        group.add(arrow);
+    } else if (kind === 'shield') {
+        material.transparent = true;
+        material.opacity = 0.6;
+        group.add(new THREE.Mesh(new THREE.SphereGeometry(1.3, 16, 12), material));
+    } else {
+        const top = new THREE.Mesh(new THREE.ConeGeometry(1, 1.2, 12), material);
+        top.rotation.x = Math.PI;
+        top.position.y = 0.6;
+        const bottom = new THREE.Mesh(new THREE.ConeGeometry(1, 1.2, 12), material);
+        bottom.position.y = -0.6;
+        group.add(top, bottom);
+    }
+
+    return group;
+}
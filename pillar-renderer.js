@@ -0,0 +1,270 @@
+// Pillar rendering - draws every pillar from one shared model
+// Uses one InstancedMesh per model mesh when the model allows it, otherwise recycles cloned groups
+// Split-screen players fly the same course, so a pillar is drawn once and stays while any player's run has it
+
+// ===== RENDERING SETTINGS =====
+const USE_PILLAR_INSTANCING = true; // Set to false to always draw pillars as pooled clones
+const INITIAL_INSTANCE_CAPACITY = 128; // Grows automatically if more pillars are visible
+// ==============================
+
+let pillarTemplate = null; // Model every pillar is drawn with
+let fallbackPillarTemplate = null; // Box pillar used when no model is loaded (built once)
+let instancedParts = null; // [{ mesh, matrix }] when drawing with instancing
+let instanceCapacity = INITIAL_INSTANCE_CAPACITY;
+let instanceSlots = []; // Pillar drawn in each instance slot
+let instanceSlotById = new Map(); // Pillar id -> instance slot
+let activePillarGroups = new Map(); // Pillar id -> group, when drawing with clones
+let pooledPillarGroups = []; // Hidden groups ready to be reused
+let pillarUsers = new Map(); // Pillar id -> number of runs that have it
+
+const pillarMatrix = new THREE.Matrix4();
+
+// Switch the model pillars are drawn with (null draws the default box pillars)
+function setPillarModel(model) {
+    const visiblePillars = getVisiblePillars();
+    hideAllPillars();
+    releasePillarTemplate();
+
+    pillarTemplate = model || getFallbackPillarTemplate();
+    if (USE_PILLAR_INSTANCING && canInstanceModel(pillarTemplate)) {
+        createInstancedParts();
+    }
+
+    // Keep showing the same pillars with the new model
+    visiblePillars.forEach(showPillar);
+}
+
+// Start drawing a pillar from the simulation
+function showPillar(pillar) {
+    if (!pillarTemplate) {
+        pillarTemplate = getFallbackPillarTemplate();
+    }
+
+    if (instancedParts) {
+        if (instanceSlotById.has(pillar.id)) return;
+        if (instanceSlots.length >= instanceCapacity) {
+            growInstanceCapacity();
+        }
+
+        const slot = instanceSlots.length;
+        instanceSlots.push(pillar);
+        instanceSlotById.set(pillar.id, slot);
+        setInstanceTransform(slot, pillar);
+        updateInstanceCount();
+    } else {
+        if (activePillarGroups.has(pillar.id)) return;
+
+        // Reuse a hidden group if there is one
+        const pillarGroup = pooledPillarGroups.pop() || createPillarGroup();
+        pillarGroup.position.set(pillar.x, 0, pillar.z);
+        pillarGroup.userData.pillarId = pillar.id;
+        pillarGroup.visible = true;
+        activePillarGroups.set(pillar.id, pillarGroup);
+    }
+}
+
+// Stop drawing a pillar that left the simulation
+function hidePillar(pillar) {
+    if (instancedParts) {
+        const slot = instanceSlotById.get(pillar.id);
+        if (slot === undefined) return;
+
+        // Move the last pillar into the freed slot so the drawn range stays packed
+        const lastSlot = instanceSlots.length - 1;
+        if (slot !== lastSlot) {
+            const lastPillar = instanceSlots[lastSlot];
+            instanceSlots[slot] = lastPillar;
+            instanceSlotById.set(lastPillar.id, slot);
+            setInstanceTransform(slot, lastPillar);
+        }
+
+        instanceSlots.pop();
+        instanceSlotById.delete(pillar.id);
+        updateInstanceCount();
+    } else {
+        const pillarGroup = activePillarGroups.get(pillar.id);
+        if (!pillarGroup) return;
+
+        // Hide it and keep it for the next pillar
+        pillarGroup.visible = false;
+        activePillarGroups.delete(pillar.id);
+        pooledPillarGroups.push(pillarGroup);
+    }
+}
+
+// Draw a pillar a run spawned, unless another run already did
+function addPillarUser(pillar) {
+    const users = pillarUsers.get(pillar.id) || 0;
+    pillarUsers.set(pillar.id, users + 1);
+    if (users === 0) showPillar(pillar);
+}
+
+// Stop drawing a pillar once every run that spawned it has removed it
+function removePillarUser(pillar) {
+    const users = pillarUsers.get(pillar.id) || 0;
+    if (users > 1) {
+        pillarUsers.set(pillar.id, users - 1);
+        return;
+    }
+    pillarUsers.delete(pillar.id);
+    hidePillar(pillar);
+}
+
+// Forget which runs have which pillars (before drawing the runs' pillars again)
+function clearPillarUsers() {
+    pillarUsers.clear();
+}
+
+// Stop drawing every pillar
+function hideAllPillars() {
+    getVisiblePillars().forEach(hidePillar);
+}
+
+// Pillars currently drawn
+function getVisiblePillars() {
+    if (instancedParts) {
+        return instanceSlots.slice();
+    }
+    return Array.from(activePillarGroups.keys()).map(id => ({
+        id: id,
+        x: activePillarGroups.get(id).position.x,
+        z: activePillarGroups.get(id).position.z
+    }));
+}
+
+// Instancing needs plain meshes (no skinning or morph targets)
+function canInstanceModel(model) {
+    let instanceable = true;
+    model.traverse((child) => {
+        if (child.isSkinnedMesh) instanceable = false;
+        if (child.isMesh && child.geometry && Object.keys(child.geometry.morphAttributes || {}).length) {
+            instanceable = false;
+        }
+    });
+    return instanceable;
+}
+
+// One InstancedMesh per mesh in the template, sharing its geometry and material
+function createInstancedParts() {
+    pillarTemplate.position.set(0, 0, 0);
+    pillarTemplate.updateMatrixWorld(true);
+
+    instancedParts = [];
+    pillarTemplate.traverse((child) => {
+        if (!child.isMesh) return;
+
+        const mesh = new THREE.InstancedMesh(child.geometry, child.material, instanceCapacity);
+        mesh.count = 0;
+        mesh.castShadow = true;
+        mesh.receiveShadow = true;
+        mesh.frustumCulled = false; // Instances spread along the whole course
+        scene.add(mesh);
+
+        // Where this mesh sits inside the model
+        instancedParts.push({ mesh: mesh, matrix: child.matrixWorld.clone() });
+    });
+}
+
+// Recreate the instanced meshes with twice the room
+function growInstanceCapacity() {
+    const drawn = instanceSlots.slice();
+    removeInstancedParts();
+
+    instanceCapacity *= 2;
+    createInstancedParts();
+
+    instanceSlots = [];
+    instanceSlotById.clear();
+    drawn.forEach(showPillar);
+}
+
+// Place every part of the pillar in the given slot
+function setInstanceTransform(slot, pillar) {
+    instancedParts.forEach(part => {
+        pillarMatrix.makeTranslation(pillar.x, 0, pillar.z).multiply(part.matrix);
+        part.mesh.setMatrixAt(slot, pillarMatrix);
+        part.mesh.instanceMatrix.needsUpdate = true;
+    });
+}
+
+// Draw only the slots in use
+function updateInstanceCount() {
+    instancedParts.forEach(part => {
+        part.mesh.count = instanceSlots.length;
+    });
+}
+
+// Remove the instanced meshes (their geometry and material belong to the template)
+function removeInstancedParts() {
+    if (!instancedParts) return;
+    instancedParts.forEach(part => {
+        scene.remove(part.mesh);
+        part.mesh.dispose();
+    });
+    instancedParts = null;
+}
+
+// Clone the template for pooled drawing
+function createPillarGroup() {
+    const pillarGroup = new THREE.Group();
+    const modelClone = pillarTemplate.clone();
+
+    // Enable shadows for all meshes in the cloned model
+    modelClone.traverse((child) => {
+        if (child.isMesh) {
+            child.castShadow = true;
+            child.receiveShadow = true;
+        }
+    });
+    modelClone.position.set(0, 0, 0);
+
+    pillarGroup.add(modelClone);
+    scene.add(pillarGroup);
+    return pillarGroup;
+}
+
+// Let go of the current template and everything drawn with it
+function releasePillarTemplate() {
+    removeInstancedParts();
+
+    pooledPillarGroups.forEach(pillarGroup => scene.remove(pillarGroup));
+    pooledPillarGroups = [];
+    instanceSlots = [];
+    instanceSlotById.clear();
+
+    // Loaded models stay cached (by assets.js) for the next level drawn with them
+    pillarTemplate = null;
+}
+
+// Default pillar if no model is loaded: a box with a glowing top, the size of the default obstacle hitbox
+function getFallbackPillarTemplate() {
+    if (fallbackPillarTemplate) return fallbackPillarTemplate;
+
+    const template = new THREE.Group();
+
+    const topHeight = 0.5;
+    const pillarGeometry = new THREE.BoxGeometry(GameCore.PILLAR_WIDTH, GameCore.PILLAR_HEIGHT - topHeight, GameCore.PILLAR_WIDTH);
+    const pillarMaterial = new THREE.MeshStandardMaterial({
+        color: 0x666666,
+        roughness: 0.7,
+        metalness: 0.3
+    });
+    const pillarMesh = new THREE.Mesh(pillarGeometry, pillarMaterial);
+    pillarMesh.position.set(0, (GameCore.PILLAR_HEIGHT - topHeight) / 2, 0);
+    template.add(pillarMesh);
+
+    const topGeometry = new THREE.BoxGeometry(GameCore.PILLAR_WIDTH, topHeight, GameCore.PILLAR_WIDTH);
+    const topMaterial = new THREE.MeshStandardMaterial({
+        color: 0xff0000,
+        emissive: 0xff0000,
+        emissiveIntensity: 0.5,
+        roughness: 0.3,
+        metalness: 0.7
+    });
+    const top = new THREE.Mesh(topGeometry, topMaterial);
+    top.position.set(0, GameCore.PILLAR_HEIGHT - topHeight / 2, 0);
+    template.add(top);
+
+    fallbackPillarTemplate = template;
+    return template;
+}
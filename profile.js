@@ -0,0 +1,312 @@
+// Save profile - keeps level unlocks, best results, best replays and settings between sessions
+
+const PROFILE_STORAGE_KEY = 'aerogame.profile';
+const LEGACY_REPLAY_STORAGE_KEY = 'aerogame.replays'; // Where replays were kept before profile version 3
+const PROFILE_VERSION = 3;
+
+// Settings stored in the profile (new settings get their default here)
+const DEFAULT_SETTINGS = {
+    firstPersonView: false, // Start levels in the nose camera instead of the chase camera
+    gamepadDeadzone: 0.15, // Stick/trigger travel ignored around the rest position (0-1)
+    gamepadSensitivity: 1, // Multiplier on stick steering and pitch
+    keyBindings: null, // Action -> key codes, null for the defaults in controls.js
+    playerTwoKeyBindings: null, // Same for player two in split-screen races
+    keyboardLayout: 'auto', // Key labels: 'auto' (ask the browser), 'qwerty' or 'azerty'
+    invertPitch: false, // Swap pitch up/down for keys and sticks
+    flightModel: 'classic', // 'classic' (slide sideways) or 'arcade' (bank to turn, momentum and stalls)
+    aircraft: 'falcon', // Id of the aircraft flown, from AIRCRAFT in game.js
+    masterVolume: 0.8, // Volumes from 0 to 1, sound effects and music are also scaled by the master volume
+    sfxVolume: 1,
+    musicVolume: 0.5,
+    playerName: '', // Name shown to other players in online races
+    showDebugCounter: false // Show the renderer's resource counts, to spot leaks between levels
+};
+
+// Migrations from older profile versions, keyed by the version they upgrade from
+const PROFILE_MIGRATIONS = {
+    // Version 1 only kept unlocks, best scores and distances, version 2 adds stars, time trial bests
+    // and the endless high score
+    1: function (data) {
+        const levels = {};
+        Object.keys(data.levels || {}).forEach(levelNum => {
+            levels[levelNum] = Object.assign({ bestStars: 0, bestTime: 0, bestSplits: [], bestMedal: null }, data.levels[levelNum]);
+        });
+        return Object.assign({}, data, {
+            version: 2,
+            levels: levels,
+            endless: { bestScore: 0, bestDistance: 0 }
+        });
+    },
+    // Version 3 keeps the best replay of each course (see replay.js)
+    2: function (data) {
+        return Object.assign({}, data, { version: 3, replays: {} });
+    }
+};
+
+let profile = null;
+
+// Build an empty profile for a first-time player
+function createDefaultProfile() {
+    return {
+        version: PROFILE_VERSION,
+        levels: {},
+        endless: { bestScore: 0, bestDistance: 0 }, // Endless mode's high score
+        replays: {}, // Course code -> best recorded run
+        settings: Object.assign({}, DEFAULT_SETTINGS)
+    };
+}
+
+// Bring a profile from any known version up to the current one
+function migrateProfile(data) {
+    let migrated = data;
+    let version = migrated.version;
+
+    if (!Number.isInteger(version) || version < 1) {
+        throw new Error('File does not contain a profile.');
+    }
+    if (version > PROFILE_VERSION) {
+        throw new Error(`Profile version ${version} is newer than this game supports (${PROFILE_VERSION}).`);
+    }
+
+    while (version < PROFILE_VERSION) {
+        const migration = PROFILE_MIGRATIONS[version];
+        if (!migration) {
+            throw new Error(`No migration from profile version ${version}.`);
+        }
+        migrated = migration(migrated);
+        version = migrated.version;
+    }
+
+    return normalizeProfile(migrated);
+}
+
+// Fill in anything missing so the rest of the game can rely on the shape
+function normalizeProfile(data) {
+    const normalized = createDefaultProfile();
+
+    Object.keys(data.levels || {}).forEach(levelNum => {
+        const saved = data.levels[levelNum] || {};
+        normalized.levels[levelNum] = {
+            unlocked: !!saved.unlocked,
+            completed: !!saved.completed,
+            bestScore: Number(saved.bestScore) || 0,
+            bestDistance: Number(saved.bestDistance) || 0,
+            bestStars: Number(saved.bestStars) || 0,
+            bestTime: Number(saved.bestTime) || 0, // Seconds of the fastest time trial, 0 if none finished
+            bestSplits: Array.isArray(saved.bestSplits) ? saved.bestSplits.map(Number) : [], // Splits of that run
+            bestMedal: MEDALS.includes(saved.bestMedal) ? saved.bestMedal : null
+        };
+    });
+
+    const endless = data.endless || {};
+    normalized.endless.bestScore = Number(endless.bestScore) || 0;
+    normalized.endless.bestDistance = Number(endless.bestDistance) || 0;
+
+    // Recordings from older versions of the game can't be played back, so they're dropped
+    const replays = data.replays || {};
+    Object.keys(replays).forEach(code => {
+        if (isPlayableReplay(replays[code])) {
+            normalized.replays[code] = replays[code];
+        }
+    });
+
+    // Only known settings are kept, and only with the type of their default
+    const settings = data.settings || {};
+    Object.keys(DEFAULT_SETTINGS).forEach(name => {
+        if (name in settings && isValidSetting(name, settings[name])) {
+            normalized.settings[name] = settings[name];
+        }
+    });
+    return normalized;
+}
+
+// Does a saved value fit the setting? Key bindings (null by default) are action -> list of key codes
+function isValidSetting(name, value) {
+    const defaultValue = DEFAULT_SETTINGS[name];
+    if (defaultValue === null) {
+        return value === null || (typeof value === 'object' && !Array.isArray(value) &&
+            Object.values(value).every(codes => Array.isArray(codes) && codes.every(code => typeof code === 'string')));
+    }
+    if (typeof defaultValue === 'number') {
+        return Number.isFinite(value);
+    }
+    return typeof value === typeof defaultValue;
+}
+
+// Load the profile from localStorage (falls back to a fresh profile)
+function loadProfile() {
+    profile = createDefaultProfile();
+
+    try {
+        const stored = window.localStorage.getItem(PROFILE_STORAGE_KEY);
+        if (stored) {
+            profile = migrateProfile(JSON.parse(stored));
+        }
+    } catch (error) {
+        console.error('Error loading saved profile, starting fresh:', error);
+    }
+
+    moveLegacyReplays();
+    applyProfileToLevels();
+    return profile;
+}
+
+// Bring replays saved under their own key (before profile version 3) into the profile
+function moveLegacyReplays() {
+    try {
+        const stored = window.localStorage.getItem(LEGACY_REPLAY_STORAGE_KEY);
+        if (!stored) return;
+
+        const replays = JSON.parse(stored) || {};
+        Object.keys(replays).forEach(code => {
+            if (!profile.replays[code] && isPlayableReplay(replays[code])) {
+                profile.replays[code] = replays[code];
+            }
+        });
+        if (saveProfile()) {
+            window.localStorage.removeItem(LEGACY_REPLAY_STORAGE_KEY);
+        }
+    } catch (error) {
+        console.error('Error loading saved replays:', error);
+    }
+}
+
+// Write the current profile to localStorage, returns false if it couldn't be saved
+function saveProfile() {
+    try {
+        window.localStorage.setItem(PROFILE_STORAGE_KEY, JSON.stringify(profile));
+        return true;
+    } catch (error) {
+        console.error('Error saving profile:', error);
+        return false;
+    }
+}
+
+// Get (and create if needed) the saved record for a level
+function getLevelRecord(levelNum) {
+    if (!profile.levels[levelNum]) {
+        profile.levels[levelNum] = {
+            unlocked: false,
+            completed: false,
+            bestScore: 0,
+            bestDistance: 0,
+            bestStars: 0,
+            bestTime: 0,
+            bestSplits: [],
+            bestMedal: null
+        };
+    }
+    return profile.levels[levelNum];
+}
+
+// Copy saved unlocks onto the LEVELS table
+function applyProfileToLevels() {
+    LEVELS.forEach((level, index) => {
+        const record = profile.levels[level.number];
+        level.unlocked = index === 0 || !!(record && record.unlocked);
+    });
+}
+
+// Remember the best score, distance and stars reached on a level
+function recordLevelResult(levelNum, finalScore, finalDistance, completed, stars = 0) {
+    const record = getLevelRecord(levelNum);
+    record.bestScore = Math.max(record.bestScore, finalScore);
+    record.bestDistance = Math.max(record.bestDistance, Math.floor(finalDistance));
+    record.bestStars = Math.max(record.bestStars, stars);
+    if (completed) {
+        record.completed = true;
+    }
+    saveProfile();
+}
+
+// Remember a finished time trial if it's the fastest, returns true if it was
+// The splits are kept with the best time, so later runs are compared against that run
+function recordTimeTrialResult(levelNum, time, splits, medal) {
+    const record = getLevelRecord(levelNum);
+    const newBest = record.bestTime === 0 || time < record.bestTime;
+    if (newBest) {
+        record.bestTime = time;
+        record.bestSplits = splits.slice();
+    }
+    if (medal && MEDALS.indexOf(medal) > MEDALS.indexOf(record.bestMedal)) {
+        record.bestMedal = medal;
+    }
+    saveProfile();
+    return newBest;
+}
+
+// Remember the best endless run, returns true if the score is a new high score
+function recordEndlessResult(finalScore, finalDistance) {
+    const best = profile.endless;
+    const newBest = finalScore > best.bestScore;
+    best.bestScore = Math.max(best.bestScore, finalScore);
+    best.bestDistance = Math.max(best.bestDistance, Math.floor(finalDistance));
+    saveProfile();
+    return newBest;
+}
+
+// Unlock a level and persist it
+function unlockLevel(levelNum) {
+    const level = LEVELS[levelNum - 1];
+    if (level) {
+        level.unlocked = true;
+    }
+    getLevelRecord(levelNum).unlocked = true;
+    saveProfile();
+}
+
+// Read a setting from the profile
+function getSetting(name) {
+    return name in profile.settings ? profile.settings[name] : DEFAULT_SETTINGS[name];
+}
+
+// Change a setting and persist it
+function setSetting(name, value) {
+    profile.settings[name] = value;
+    saveProfile();
+}
+
+// Download the profile as a JSON file
+function exportProfile() {
+    const blob = new Blob([JSON.stringify(profile, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'aerogame-profile.json';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+
+    URL.revokeObjectURL(url);
+}
+
+// Replace the profile with one read from a JSON file
+function importProfile(file, onImported) {
+    const reader = new FileReader();
+
+    reader.onload = function () {
+        try {
+            const data = JSON.parse(reader.result);
+            if (!data || typeof data !== 'object') {
+                throw new Error('File does not contain a profile.');
+            }
+
+            profile = migrateProfile(data);
+            saveProfile();
+            applyProfileToLevels();
+
+            if (onImported) onImported(profile);
+        } catch (error) {
+            console.error('Error importing profile:', error);
+            alert('Could not import profile: ' + error.message);
+        }
+    };
+
+    reader.onerror = function () {
+        console.error('Error reading profile file:', reader.error);
+        alert('Could not read the selected file.');
+    };
+
+    reader.readAsText(file);
+}
@@ -0,0 +1,78 @@
+// Seeded random numbers so a course can be replayed and shared
+
+const MAX_SEED = 0xFFFFFFFF;
+
+// Hash any string to a 32-bit seed (FNV-1a)
+function hashSeed(text) {
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// Derive an independent seed for one part of the course (pillars, ground, ...)
+function deriveSeed(seed, ...parts) {
+    return hashSeed([seed].concat(parts).join(':'));
+}
+
+// Create a generator returning numbers in [0, 1) like Math.random (mulberry32)
+// getState() and setState() save and rewind the sequence (for checkpoints)
+function createRng(seed) {
+    let state = seed >>> 0;
+    const next = function () {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    next.getState = () => state;
+    next.setState = (saved) => {
+        state = saved >>> 0;
+    };
+    return next;
+}
+
+// Pick a fresh seed for a new course
+function randomSeed() {
+    return Math.floor(Math.random() * MAX_SEED) >>> 0;
+}
+
+// Seeds are shown to players in base 36 to keep them short
+function formatSeed(seed) {
+    return (seed >>> 0).toString(36).toUpperCase();
+}
+
+// Course codes combine the level and the seed, e.g. "L3-1K9F2Q"
+function encodeCourseCode(level, seed) {
+    return `L${level}-${formatSeed(seed)}`;
+}
+
+// Read a typed course code or seed
+// Returns { level, seed } for course codes, { level: null, seed } for plain seeds,
+// or null if empty or the code's seed doesn't fit in 32 bits
+function parseCourseCode(text) {
+    const input = String(text || '').trim().toUpperCase();
+    if (!input) return null;
+
+    const codeMatch = input.match(/^L(\d+)-([0-9A-Z]{1,7})$/);
+    if (codeMatch) {
+        const seed = parseInt(codeMatch[2], 36);
+        return seed <= MAX_SEED ? { level: parseInt(codeMatch[1], 10), seed: seed } : null;
+    }
+
+    // Short base-36 strings are seeds as displayed, anything else (bigger ones too) is hashed
+    if (/^[0-9A-Z]{1,7}$/.test(input) && parseInt(input, 36) <= MAX_SEED) {
+        return { level: null, seed: parseInt(input, 36) };
+    }
+    return { level: null, seed: hashSeed(input) };
+}
+
+// Shared with the headless game core under Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        hashSeed, deriveSeed, createRng, randomSeed, formatSeed, encodeCourseCode, parseCourseCode
+    };
+}
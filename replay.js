@@ -0,0 +1,181 @@
+// Replays - every run stored as its per-step inputs, so the game core can fly it again exactly
+// Inputs are rounded to whole steps of 1/127 and run-length encoded: [steps, throttle, steer, pitch, speedTarget, ...]
+// (a speed target of -1 is none)
+// Retries from a checkpoint are stored as the number of steps flown when they happened
+// The best run of each course is kept in the save profile (profile.js), so it's exported and imported with it
+
+// Version 2 added drones and missiles, version 3 checkpoints (which clear space in the course), version 4 pickups,
+// version 5 trigger speed targets
+const REPLAY_VERSION = 5;
+const INPUT_SCALE = 127; // Input values are stored as integers from -127 to 127
+const REPLAY_STEP_SIZE = 5; // Numbers stored per run of identical steps
+const MAX_SAVED_REPLAYS = 30; // Oldest courses are forgotten past this
+
+// Round an input to what a replay can store (the game steps with this so playback matches)
+function quantizeInput(input) {
+    return {
+        throttle: Math.round(input.throttle * INPUT_SCALE) / INPUT_SCALE,
+        steer: Math.round(input.steer * INPUT_SCALE) / INPUT_SCALE,
+        pitch: Math.round(input.pitch * INPUT_SCALE) / INPUT_SCALE,
+        speedTarget: typeof input.speedTarget === 'number' ? Math.round(input.speedTarget * INPUT_SCALE) / INPUT_SCALE : null
+    };
+}
+
+// Start recording a run
+// options: { level, levelDistance, seed, aircraftId, flightModel, aircraft, hazards, pickups, course, ring, obstacles,
+//            rings, checkpoints, lives, simulationRate }
+function createReplay(options) {
+    return {
+        version: REPLAY_VERSION,
+        level: options.level,
+        levelDistance: options.levelDistance,
+        seed: options.seed >>> 0,
+        aircraftId: options.aircraftId, // Roster id of the aircraft flown, older recordings show the default one
+        flightModel: options.flightModel, // Older recordings without one were classic
+        aircraft: options.aircraft, // Handling stats, older recordings without them used the defaults
+        hazards: options.hazards,
+        pickups: options.pickups,
+        course: options.course, // Pillar layout rules and ring position, older recordings used the defaults
+        ring: options.ring,
+        obstacles: options.obstacles, // Hand-placed pillars, null for random rows
+        rings: options.rings,
+        checkpoints: options.checkpoints,
+        lives: options.lives,
+        simulationRate: options.simulationRate,
+        planeHitbox: null,
+        obstacleHitbox: null,
+        hazardHitboxes: null,
+        inputs: [], // Run-length encoded steps
+        respawns: [], // Steps flown when each checkpoint retry happened
+        ticks: 0,
+        completed: false,
+        score: 0,
+        distance: 0,
+        savedAt: 0
+    };
+}
+
+// Add one step's (already quantized) input to the recording
+function recordReplayInput(replay, input) {
+    const throttle = Math.round(input.throttle * INPUT_SCALE);
+    const steer = Math.round(input.steer * INPUT_SCALE);
+    const pitch = Math.round(input.pitch * INPUT_SCALE);
+    const speedTarget = typeof input.speedTarget === 'number' ? Math.round(input.speedTarget * INPUT_SCALE) : -1;
+    const inputs = replay.inputs;
+    const last = inputs.length - REPLAY_STEP_SIZE;
+
+    if (last >= 0 && inputs[last + 1] === throttle && inputs[last + 2] === steer && inputs[last + 3] === pitch &&
+        inputs[last + 4] === speedTarget) {
+        inputs[last]++;
+    } else {
+        inputs.push(1, throttle, steer, pitch, speedTarget);
+    }
+    replay.ticks++;
+}
+
+// Note that the run was retried from its last checkpoint after the steps recorded so far
+function recordReplayRespawn(replay) {
+    replay.respawns.push(replay.ticks);
+}
+
+// Store the result of the finished run and the collision volumes it was flown with
+// The models finish loading long before the first pillar, so the final hitboxes are the ones that mattered
+function finishReplay(replay, state) {
+    replay.planeHitbox = state.planeHitbox;
+    replay.obstacleHitbox = state.obstacleHitbox;
+    replay.hazardHitboxes = state.hazardHitboxes;
+    replay.completed = state.status === 'complete';
+    replay.score = state.score;
+    replay.distance = Math.floor(state.distance);
+    replay.savedAt = Date.now();
+    return replay;
+}
+
+// Read a recording back one step at a time
+function createReplayReader(replay) {
+    return { replay: replay, index: 0, remaining: replay.inputs[0] || 0, ticks: 0, respawnIndex: 0 };
+}
+
+// Next step's input, or null once the recording has run out
+function readReplayInput(reader) {
+    const inputs = reader.replay.inputs;
+    while (reader.remaining === 0) {
+        reader.index += REPLAY_STEP_SIZE;
+        if (reader.index >= inputs.length) return null;
+        reader.remaining = inputs[reader.index];
+    }
+
+    reader.remaining--;
+    reader.ticks++;
+    const speedTarget = inputs[reader.index + 4];
+    return {
+        throttle: inputs[reader.index + 1] / INPUT_SCALE,
+        steer: inputs[reader.index + 2] / INPUT_SCALE,
+        pitch: inputs[reader.index + 3] / INPUT_SCALE,
+        speedTarget: speedTarget < 0 ? null : speedTarget / INPUT_SCALE
+    };
+}
+
+// True once if the recorded player retried from a checkpoint after the steps read so far
+function readReplayRespawn(reader) {
+    if (reader.replay.respawns[reader.respawnIndex] !== reader.ticks) return false;
+
+    reader.respawnIndex++;
+    return true;
+}
+
+// Is run a better than run b? Finishing beats crashing, then score, then the quicker time
+function isBetterReplay(a, b) {
+    if (!b) return true;
+    if (a.completed !== b.completed) return a.completed;
+    if (a.score !== b.score) return a.score > b.score;
+    if (a.completed) return a.ticks < b.ticks;
+    return a.distance > b.distance;
+}
+
+// Check a stored recording is one this version of the game can play
+function isPlayableReplay(replay) {
+    return !!replay && replay.version === REPLAY_VERSION && Array.isArray(replay.inputs) &&
+        replay.inputs.length % REPLAY_STEP_SIZE === 0 && Array.isArray(replay.respawns);
+}
+
+// The best recorded run of a course, or null
+function getBestReplay(level, seed) {
+    const replay = profile.replays[encodeCourseCode(level, seed)];
+    return isPlayableReplay(replay) && replay.simulationRate === GameCore.SIMULATION_RATE ? replay : null;
+}
+
+// Keep the recording if it beats the saved run of the same course, returns true if it was saved
+function saveReplayIfBest(replay) {
+    const replays = profile.replays;
+    const code = encodeCourseCode(replay.level, replay.seed);
+    const saved = isPlayableReplay(replays[code]) ? replays[code] : null;
+    if (!isBetterReplay(replay, saved)) return false;
+
+    // A copy, the recording carries on if the run is retried from a checkpoint
+    replays[code] = JSON.parse(JSON.stringify(replay));
+
+    // Forget the courses played longest ago
+    const codes = Object.keys(replays).sort((a, b) => (replays[b].savedAt || 0) - (replays[a].savedAt || 0));
+    codes.slice(MAX_SAVED_REPLAYS).forEach(oldCode => delete replays[oldCode]);
+
+    // A recording too big for the browser's storage mustn't stop the rest of the profile saving
+    if (!saveProfile()) {
+        if (saved) {
+            replays[code] = saved;
+        } else {
+            delete replays[code];
+        }
+        saveProfile();
+        return false;
+    }
+    return true;
+}
+
+// Shared with the headless game core under Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        quantizeInput, createReplay, recordReplayInput, recordReplayRespawn, finishReplay, createReplayReader,
+        readReplayInput, readReplayRespawn, isBetterReplay, isPlayableReplay
+    };
+}
@@ -0,0 +1,79 @@
+// Scene lifecycle - owns the objects built for the level on show (ground, sky, barriers and rings)
+// and frees their geometries, materials and textures once they're replaced or the level is torn down
+// Models and textures cached by assets.js are shared between levels, so they're never freed here
+// The debug counter shows what the renderer is holding, so anything that grows with each restart stands out
+
+const DEBUG_COUNTER_INTERVAL = 500; // Milliseconds between debug counter updates
+
+let levelObjects = new Set(); // Objects added with addLevelObject that are still in the scene
+let lastDebugCounterUpdate = -Infinity;
+
+// Add an object built for the current level to the scene
+function addLevelObject(object) {
+    scene.add(object);
+    levelObjects.add(object);
+    return object;
+}
+
+// Take a level object out of the scene and free what it was built from (null is ignored)
+function removeLevelObject(object) {
+    if (!object) return;
+
+    scene.remove(object);
+    levelObjects.delete(object);
+    disposeObject(object);
+}
+
+// Tear down everything drawn for the level, before another one is built or the menu is shown
+function clearLevelScene() {
+    hideAllPillars();
+    clearPillarUsers();
+    hideAllHazards();
+    hideAllPickups();
+    courseRingObjects.clear();
+
+    Array.from(levelObjects).forEach(removeLevelObject);
+    ground = null;
+    barriers = [];
+    goldenRing = null;
+}
+
+// Free an object's geometries and materials (with their textures), except those shared through assets.js
+function disposeObject(object) {
+    object.traverse((child) => {
+        if (child.geometry && !isSharedResource(child.geometry)) {
+            child.geometry.dispose();
+        }
+        if (child.material) {
+            (Array.isArray(child.material) ? child.material : [child.material]).forEach(disposeMaterial);
+        }
+    });
+}
+
+function disposeMaterial(material) {
+    if (isSharedResource(material)) return;
+
+    Object.values(material).forEach(value => {
+        if (value && value.isTexture && !isSharedResource(value)) value.dispose();
+    });
+    material.dispose();
+}
+
+// Show the renderer's live geometries, textures and shader programs, the materials in the scene
+// (the renderer doesn't count those) and the last frame's draw calls, when turned on in the settings
+function updateDebugCounter(now) {
+    const counter = document.getElementById('debug-counter');
+    const shown = getSetting('showDebugCounter');
+    counter.classList.toggle('hidden', !shown);
+    if (!shown || now - lastDebugCounterUpdate < DEBUG_COUNTER_INTERVAL) return;
+    lastDebugCounterUpdate = now;
+
+    const materials = new Set();
+    scene.traverse((child) => {
+        if (child.material) [].concat(child.material).forEach(material => materials.add(material));
+    });
+
+    const info = renderer.info;
+    counter.textContent = `Geometries ${info.memory.geometries} / Textures ${info.memory.textures} / ` +
+        `Materials ${materials.size} / Programs ${info.programs.length} / Draw calls ${info.render.calls}`;
+}
@@ -0,0 +1,384 @@
+// Multiplayer relay - a small lobby and WebSocket relay for online races, with no dependencies
+// Run it with `node server/multiplayer-server.js [port]` (default 8080), then open http://localhost:8080
+// It also serves the game's files, so the page and the relay share an address
+//
+// Players join rooms by name. The first player in a room is its host: the host picks the level and seed
+// and starts the countdown, everyone's plane snapshots and results are relayed to the rest of the room.
+// The server doesn't simulate anything, each game runs its own copy of the seeded course.
+//
+// Messages are JSON text frames:
+//   client -> server: join { room, name, aircraft }, setup { level, seed }, start,
+//                     state { tick, aircraft, position, rotation, distance, score }, finish { status, time, distance, score }
+//   server -> client: welcome { id, room, hostId, players, setup }, playerJoined { player }, playerLeft { id },
+//                     host { id }, setup { level, seed }, countdown { level, seed, delay },
+//                     state { id, ... }, finish { id, ... }, error { message }
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_PORT = 8080;
+const GAME_ROOT = path.join(__dirname, '..');
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11'; // From RFC 6455
+const MAX_MESSAGE_SIZE = 64 * 1024; // Bytes, plane snapshots are far smaller
+const COUNTDOWN_DELAY = 3000; // Milliseconds from the host pressing start to the race starting
+const MAX_NAME_LENGTH = 20;
+const FINISH_STATUSES = ['complete', 'crashed', 'quit'];
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.glb': 'model/gltf-binary'
+};
+
+// Frame opcodes
+const OPCODES = { continuation: 0x0, text: 0x1, binary: 0x2, close: 0x8, ping: 0x9, pong: 0xa };
+
+let nextClientId = 1;
+const rooms = new Map(); // Room name -> { name, hostId, clients: Map(id -> client), setup }
+
+// ===== HTTP =====
+
+// Serve the game's files from the repository: only the file types in CONTENT_TYPES, nothing outside it,
+// nothing under server/ and no dotfiles or dot-directories
+function serveFile(request, response) {
+    let urlPath;
+    try {
+        urlPath = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+    } catch (error) {
+        response.writeHead(400);
+        response.end('Bad request');
+        return;
+    }
+
+    const filePath = path.normalize(path.join(GAME_ROOT, urlPath === '/' ? 'index.html' : urlPath));
+    if (!filePath.startsWith(GAME_ROOT + path.sep) || filePath.includes(`${path.sep}server${path.sep}`)) {
+        response.writeHead(403);
+        response.end('Forbidden');
+        return;
+    }
+
+    const hidden = path.relative(GAME_ROOT, filePath).split(path.sep).some(part => part.startsWith('.'));
+    if (hidden || !CONTENT_TYPES.hasOwnProperty(path.extname(filePath))) {
+        response.writeHead(404);
+        response.end('Not found');
+        return;
+    }
+
+    fs.readFile(filePath, (error, data) => {
+        if (error) {
+            response.writeHead(404);
+            response.end('Not found');
+            return;
+        }
+        response.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(filePath)] });
+        response.end(data);
+    });
+}
+
+// ===== WEBSOCKET =====
+
+// Finish the WebSocket handshake and start reading frames
+function acceptWebSocket(request, socket) {
+    const key = request.headers['sec-websocket-key'];
+    if (!key || request.headers.upgrade.toLowerCase() !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '', ''
+    ].join('\r\n'));
+    socket.setNoDelay(true);
+
+    const client = {
+        id: nextClientId++,
+        socket: socket,
+        name: '',
+        aircraft: '', // Roster id of the aircraft flown, the game draws the player's plane with it
+        room: null,
+        buffer: Buffer.alloc(0),
+        fragments: [],
+        fragmentsSize: 0, // Bytes of the message being collected from fragments
+        closed: false
+    };
+    socket.on('data', data => onSocketData(client, data));
+    socket.on('close', () => leaveRoom(client));
+    socket.on('error', () => socket.destroy());
+}
+
+// Collect incoming bytes and handle every complete frame
+function onSocketData(client, data) {
+    client.buffer = Buffer.concat([client.buffer, data]);
+
+    let frame;
+    while (!client.closed && (frame = readFrame(client.buffer)) !== null) {
+        if (frame.error) {
+            closeSocket(client, frame.error);
+            return;
+        }
+        client.buffer = client.buffer.subarray(frame.length);
+        handleFrame(client, frame);
+    }
+}
+
+// Parse one frame from the start of the buffer, null if it hasn't all arrived yet
+// A frame that can't be accepted gives { error } with the close code to hang up with
+function readFrame(buffer) {
+    if (buffer.length < 2) return null;
+
+    const fin = (buffer[0] & 0x80) !== 0;
+    const opcode = buffer[0] & 0x0f;
+    const masked = (buffer[1] & 0x80) !== 0;
+    if (!masked) return { error: 1002 }; // Clients must mask every frame (RFC 6455 section 5.1)
+
+    let payloadLength = buffer[1] & 0x7f;
+    let offset = 2;
+
+    if (payloadLength === 126) {
+        if (buffer.length < offset + 2) return null;
+        payloadLength = buffer.readUInt16BE(offset);
+        offset += 2;
+    } else if (payloadLength === 127) {
+        if (buffer.length < offset + 8) return null;
+        payloadLength = Number(buffer.readBigUInt64BE(offset));
+        offset += 8;
+    }
+    if (payloadLength > MAX_MESSAGE_SIZE) return { error: 1009 };
+
+    const maskOffset = offset;
+    offset += 4;
+    if (buffer.length < offset + payloadLength) return null;
+
+    const payload = Buffer.from(buffer.subarray(offset, offset + payloadLength));
+    for (let i = 0; i < payload.length; i++) {
+        payload[i] ^= buffer[maskOffset + (i % 4)];
+    }
+
+    return { fin: fin, opcode: opcode, payload: payload, length: offset + payloadLength };
+}
+
+// React to a control frame, or a (possibly fragmented) message
+function handleFrame(client, frame) {
+    switch (frame.opcode) {
+        case OPCODES.close:
+            closeSocket(client, 1000);
+            return;
+        case OPCODES.ping:
+            sendFrame(client.socket, OPCODES.pong, frame.payload);
+            return;
+        case OPCODES.pong:
+            return;
+    }
+
+    // Counted as the fragments arrive, so an unfinished message can't grow past the limit
+    client.fragmentsSize += frame.payload.length;
+    if (client.fragmentsSize > MAX_MESSAGE_SIZE) {
+        closeSocket(client, 1009);
+        return;
+    }
+    client.fragments.push(frame.payload);
+    if (!frame.fin) return;
+
+    const message = Buffer.concat(client.fragments).toString('utf8');
+    client.fragments = [];
+    client.fragmentsSize = 0;
+
+    let data;
+    try {
+        data = JSON.parse(message);
+    } catch (error) {
+        send(client, { type: 'error', message: 'Messages must be JSON.' });
+        return;
+    }
+    if (data && typeof data.type === 'string') {
+        handleMessage(client, data);
+    }
+}
+
+// Write one unmasked frame (servers never mask)
+function sendFrame(socket, opcode, payload) {
+    if (socket.destroyed) return;
+
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    socket.write(Buffer.concat([header, payload]));
+}
+
+// Say goodbye with a close code and hang up
+function closeSocket(client, code) {
+    if (client.closed) return;
+
+    client.closed = true;
+    client.buffer = Buffer.alloc(0);
+    client.fragments = [];
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code, 0);
+    sendFrame(client.socket, OPCODES.close, payload);
+    client.socket.end();
+    leaveRoom(client);
+}
+
+function send(client, data) {
+    sendFrame(client.socket, OPCODES.text, Buffer.from(JSON.stringify(data)));
+}
+
+// Send to everyone in a room, except one client if given
+function broadcast(room, data, except = null) {
+    room.clients.forEach(client => {
+        if (client !== except) send(client, data);
+    });
+}
+
+// ===== LOBBY =====
+
+function handleMessage(client, data) {
+    if (data.type === 'join') {
+        joinRoom(client, data);
+        return;
+    }
+
+    const room = client.room;
+    if (!room) {
+        send(client, { type: 'error', message: 'Join a room first.' });
+        return;
+    }
+
+    switch (data.type) {
+        case 'setup':
+            // The host's level and seed, shown to everyone before the race
+            if (client.id !== room.hostId) return;
+            room.setup = readSetup(data);
+            broadcast(room, Object.assign({ type: 'setup' }, room.setup), client);
+            break;
+        case 'start':
+            if (client.id !== room.hostId || !room.setup) return;
+            broadcast(room, Object.assign({ type: 'countdown', delay: COUNTDOWN_DELAY }, room.setup));
+            break;
+        case 'state':
+            // Players joining later are told the aircraft the sender flies now
+            if (typeof data.aircraft === 'string') client.aircraft = data.aircraft.slice(0, MAX_NAME_LENGTH);
+            broadcast(room, Object.assign({ type: 'state', id: client.id, aircraft: client.aircraft }, readState(data)), client);
+            break;
+        case 'finish':
+            broadcast(room, Object.assign({ type: 'finish', id: client.id }, readFinish(data)), client);
+            break;
+    }
+}
+
+// Put a client in a room (made on first join), the first one in becomes the host
+function joinRoom(client, data) {
+    leaveRoom(client);
+
+    const roomName = String(data.room || 'lobby').trim().slice(0, MAX_NAME_LENGTH) || 'lobby';
+    client.name = String(data.name || '').trim().slice(0, MAX_NAME_LENGTH) || `Pilot ${client.id}`;
+    client.aircraft = String(data.aircraft || '').slice(0, MAX_NAME_LENGTH);
+
+    let room = rooms.get(roomName);
+    if (!room) {
+        room = { name: roomName, hostId: client.id, clients: new Map(), setup: null };
+        rooms.set(roomName, room);
+    }
+    room.clients.set(client.id, client);
+    client.room = room;
+
+    send(client, {
+        type: 'welcome',
+        id: client.id,
+        room: room.name,
+        hostId: room.hostId,
+        players: Array.from(room.clients.values()).map(describeClient),
+        setup: room.setup
+    });
+    broadcast(room, { type: 'playerJoined', player: describeClient(client) }, client);
+}
+
+// Take a client out of its room, handing the host role on if needed
+function leaveRoom(client) {
+    const room = client.room;
+    if (!room) return;
+
+    room.clients.delete(client.id);
+    client.room = null;
+    if (room.clients.size === 0) {
+        rooms.delete(room.name);
+        return;
+    }
+
+    broadcast(room, { type: 'playerLeft', id: client.id });
+    if (room.hostId === client.id) {
+        room.hostId = room.clients.keys().next().value;
+        broadcast(room, { type: 'host', id: room.hostId });
+    }
+}
+
+function describeClient(client) {
+    return { id: client.id, name: client.name, aircraft: client.aircraft };
+}
+
+// Only a level number and a seed are passed on
+function readSetup(data) {
+    return { level: Math.max(1, Math.floor(Number(data.level)) || 1), seed: Number(data.seed) >>> 0 };
+}
+
+// Only the snapshot fields the other racers draw are passed on (the aircraft is the one the server keeps)
+function readState(data) {
+    return {
+        tick: Math.max(0, Math.floor(readNumber(data.tick))),
+        position: readVector(data.position),
+        rotation: readVector(data.rotation),
+        distance: Math.max(0, readNumber(data.distance)),
+        score: readNumber(data.score)
+    };
+}
+
+// Only how the run ended is passed on, with a time only for completed runs
+function readFinish(data) {
+    const status = FINISH_STATUSES.includes(data.status) ? data.status : 'quit';
+    return {
+        status: status,
+        time: status === 'complete' ? Math.max(0, readNumber(data.time)) : null,
+        distance: Math.max(0, readNumber(data.distance)),
+        score: readNumber(data.score)
+    };
+}
+
+// A finite number, or 0
+function readNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value) ? value : 0;
+}
+
+// An [x, y, z] of finite numbers
+function readVector(values) {
+    return [0, 1, 2].map(index => readNumber(Array.isArray(values) ? values[index] : 0));
+}
+
+// ===== START =====
+
+const port = Number(process.argv[2]) || DEFAULT_PORT;
+const server = http.createServer(serveFile);
+server.on('upgrade', acceptWebSocket);
+server.listen(port, () => {
+    console.log(`AeroGame multiplayer server on http://localhost:${port}`);
+});
@@ -0,0 +1,145 @@
+// Spatial index - keeps course objects in buckets along Z so queries only touch nearby ones
+// Items just need a numeric z property
+
+// Create an index with buckets cellSize metres long
+function createSpatialIndex(cellSize) {
+    const cells = new Map(); // Cell number -> array of items
+    let minCell = Infinity;
+    let maxCell = -Infinity;
+    let count = 0;
+
+    function cellOf(z) {
+        return Math.floor(z / cellSize);
+    }
+
+    // Add an item
+    function insert(item) {
+        const cell = cellOf(item.z);
+        if (!cells.has(cell)) {
+            cells.set(cell, []);
+        }
+        cells.get(cell).push(item);
+
+        minCell = Math.min(minCell, cell);
+        maxCell = Math.max(maxCell, cell);
+        count++;
+    }
+
+    // Remove one item, returns true if it was in the index
+    function remove(item) {
+        const bucket = cells.get(cellOf(item.z));
+        const index = bucket ? bucket.indexOf(item) : -1;
+        if (index === -1) return false;
+
+        bucket.splice(index, 1);
+        if (bucket.length === 0) {
+            cells.delete(cellOf(item.z));
+        }
+        count--;
+        return true;
+    }
+
+    // Call fn for every item with minZ <= z <= maxZ
+    function forEachInRange(minZ, maxZ, fn) {
+        const first = Math.max(cellOf(minZ), minCell);
+        const last = Math.min(cellOf(maxZ), maxCell);
+
+        for (let cell = first; cell <= last; cell++) {
+            const bucket = cells.get(cell);
+            if (!bucket) continue;
+
+            for (let i = 0; i < bucket.length; i++) {
+                const item = bucket[i];
+                if (item.z >= minZ && item.z <= maxZ) {
+                    fn(item);
+                }
+            }
+        }
+    }
+
+    // Items with minZ <= z <= maxZ
+    function query(minZ, maxZ) {
+        const found = [];
+        forEachInRange(minZ, maxZ, item => found.push(item));
+        return found;
+    }
+
+    // True if any item with minZ <= z <= maxZ passes the test
+    function some(minZ, maxZ, test) {
+        const first = Math.max(cellOf(minZ), minCell);
+        const last = Math.min(cellOf(maxZ), maxCell);
+
+        for (let cell = first; cell <= last; cell++) {
+            const bucket = cells.get(cell);
+            if (!bucket) continue;
+
+            for (let i = 0; i < bucket.length; i++) {
+                const item = bucket[i];
+                if (item.z >= minZ && item.z <= maxZ && test(item)) {
+                    return true;
+                }
+            }
+        }
+        return false;
+    }
+
+    // Remove and return every item with z < limitZ
+    function removeBefore(limitZ) {
+        const removed = [];
+        const limitCell = cellOf(limitZ);
+
+        for (let cell = minCell; cell <= limitCell && cell <= maxCell; cell++) {
+            const bucket = cells.get(cell);
+            if (!bucket) continue;
+
+            const kept = [];
+            bucket.forEach(item => (item.z < limitZ ? removed.push(item) : kept.push(item)));
+            if (kept.length) {
+                cells.set(cell, kept);
+            } else {
+                cells.delete(cell);
+            }
+        }
+
+        count -= removed.length;
+        if (count === 0) {
+            minCell = Infinity;
+            maxCell = -Infinity;
+        } else if (removed.length) {
+            while (!cells.has(minCell)) minCell++;
+        }
+        return removed;
+    }
+
+    // Every item, nearest first
+    function all() {
+        return count ? query(minCell * cellSize, (maxCell + 1) * cellSize) : [];
+    }
+
+    // Remove everything
+    function clear() {
+        cells.clear();
+        minCell = Infinity;
+        maxCell = -Infinity;
+        count = 0;
+    }
+
+    return {
+        insert,
+        remove,
+        query,
+        forEachInRange,
+        some,
+        removeBefore,
+        all,
+        clear,
+        get size() {
+            return count;
+        }
+    };
+}
+
+// Shared with the headless game core under Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { createSpatialIndex };
+}
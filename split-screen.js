@@ -0,0 +1,331 @@
+// Split-screen races - two players fly the same seeded course side by side on one machine
+// Player one is the usual run (gameState, plane and camera), player two has a simulation, plane and camera here
+// Each player's drones, missiles, pickups and rings are drawn on their own layer, so only their view shows them
+
+// ===== SPLIT SCREEN =====
+const PLAYER_LAYERS = [1, 2]; // Camera layer of each player's objects (layer 0 is seen by both)
+const PLAYER_TWO_COLOR = 0xff5533; // Tint of player two's plane
+const PLAYER_TWO_TINT = 0.6; // How far player two's materials are tinted (0-1)
+// ========================
+
+let splitScreenMode = false; // Racing two players instead of a single run
+let secondPlayer = null; // { state, model, camera, messageTimer } while racing
+let racerResults = [null, null]; // 'complete' or 'crashed' once each player is done
+
+// Start a two-player race of the current level from the start screen
+function startSplitScreen() {
+    splitScreenMode = true;
+    secondPlayer = { state: null, model: null, camera: camera.clone(), messageTimer: null };
+    camera.layers.enable(PLAYER_LAYERS[0]);
+    secondPlayer.camera.layers.set(0);
+    secondPlayer.camera.layers.enable(PLAYER_LAYERS[1]);
+    document.body.classList.add('split-screen');
+    resizeSplitScreen();
+
+    // A locked level doesn't start, so there's no race to set up
+    if (!startGame()) stopSplitScreen();
+}
+
+// Go back to single-player runs
+function stopSplitScreen() {
+    releaseSecondPlayerModel();
+    splitScreenMode = false;
+    secondPlayer = null;
+    racerResults = [null, null];
+    camera.layers.disable(PLAYER_LAYERS[0]);
+    document.body.classList.remove('split-screen');
+    document.getElementById('split-results').classList.add('hidden');
+    resizeSplitScreen();
+}
+
+// Line player two up for a new race (called with every new run, after player one's state is made)
+function resetSecondPlayer() {
+    if (!splitScreenMode) return;
+
+    secondPlayer.state = createLevelState();
+    racerResults = [null, null];
+    document.getElementById('split-results').classList.add('hidden');
+    updateRacerStatus(0);
+    updateRacerStatus(1);
+    updateSecondPlayerHud();
+}
+
+// Simulations being flown: player one's, and player two's in a split-screen race
+function getRunStates() {
+    return splitScreenMode && secondPlayer.state ? [gameState, secondPlayer.state] : [gameState];
+}
+
+// Camera layer a player's objects are drawn on (layer 0 outside split-screen races)
+function getPlayerLayer(player) {
+    return splitScreenMode ? PLAYER_LAYERS[player] : 0;
+}
+
+// Put an object and everything in it on a single camera layer
+function setObjectLayer(object, layer) {
+    object.traverse(child => child.layers.set(layer));
+}
+
+// Player two's keys win while held, otherwise the second controller is used
+function readPlayerTwoInput() {
+    const throttle = getActionAxis('throttleDown', 'throttleUp', 2);
+    const steer = getActionAxis('steerLeft', 'steerRight', 2);
+    const pitch = getActionAxis('pitchUp', 'pitchDown', 2);
+    const pitchDirection = getSetting('invertPitch') ? -1 : 1;
+
+    return {
+        throttle: throttle,
+        speedTarget: throttle ? null : secondGamepadState.speedTarget,
+        steer: steer || secondGamepadState.steer,
+        pitch: (pitch || secondGamepadState.pitch) * pitchDirection
+    };
+}
+
+// Advance player two by one fixed step, in lockstep with player one
+function stepSecondPlayer(dt) {
+    if (!splitScreenMode || secondPlayer.state.status !== 'running') return;
+
+    const events = GameCore.stepGame(secondPlayer.state, quantizeInput(readPlayerTwoInput()), dt);
+    events.forEach(handleSecondPlayerEvent);
+    updateSecondPlayerHud();
+}
+
+// Player two's side of handleGameEvent
+function handleSecondPlayerEvent(event) {
+    const layer = PLAYER_LAYERS[1];
+    switch (event.type) {
+        case 'pillarSpawned':
+            addPillarUser(event.pillar);
+            break;
+        case 'pillarRemoved':
+            removePillarUser(event.pillar);
+            break;
+        case 'hazardSpawned':
+            showHazard(event.hazard, layer);
+            break;
+        case 'hazardRemoved':
+            hideHazard(event.hazard);
+            break;
+        case 'pickupSpawned':
+            showPickup(event.pickup, layer);
+            break;
+        case 'pickupRemoved':
+            hidePickup(event.pickup);
+            break;
+        case 'pickupCollected':
+            hidePickup(event.pickup);
+            showSecondPlayerMessage(event.points ? `Coin! +${event.points}` : PICKUP_MESSAGES[event.pickup.kind]);
+            break;
+        case 'ringPassed':
+            removeCourseRing(event.ring);
+            playRingChime(false);
+            showSecondPlayerMessage(`Ring! +${event.points}`);
+            break;
+        case 'checkpoint':
+            removeCourseRing(event.checkpoint);
+            playRingChime(true);
+            showSecondPlayerMessage('Checkpoint!');
+            break;
+        case 'nearMiss':
+            showSecondPlayerMessage(`Near miss! +${event.points}`);
+            break;
+        case 'stall':
+            showSecondPlayerMessage('Stall!');
+            break;
+        case 'levelComplete':
+            onRacerComplete(1);
+            break;
+        case 'crash':
+            onRacerCrashed(1);
+            break;
+    }
+}
+
+// A player reached the finish ring
+function onRacerComplete(player) {
+    playLevelCompleteSound();
+    finishRacer(player, 'complete');
+}
+
+// A player crashed: back to their last checkpoint if they have lives left, otherwise they're out
+function onRacerCrashed(player) {
+    playCrashSound();
+    const state = getRunStates()[player];
+    if (GameCore.canRespawn(state)) {
+        GameCore.respawnAtCheckpoint(state);
+        rebuildPillarMeshes();
+        rebuildHazardObjects();
+        rebuildPickupObjects();
+        createCourseRings();
+        showRacerMessage(player, `Crashed! ${state.lives} ${state.lives === 1 ? 'life' : 'lives'} left`);
+        return;
+    }
+    finishRacer(player, 'crashed');
+}
+
+// A player is done, the race ends once both are
+function finishRacer(player, result) {
+    racerResults[player] = result;
+    updateRacerStatus(player);
+    if (racerResults.every(Boolean)) {
+        showSplitScreenResults();
+    }
+}
+
+// Show whether a player finished or crashed on their HUD
+function updateRacerStatus(player) {
+    const result = racerResults[player];
+    const prefix = player === 0 ? 'p1' : 'p2';
+    document.getElementById(`${prefix}-status-container`).classList.toggle('hidden', !result);
+    document.getElementById(`${prefix}-status`).textContent =
+        result === 'complete' ? `Finished in ${formatTime(getElapsedTime(getRunStates()[player]))}` : 'Crashed - out';
+}
+
+function showRacerMessage(player, text) {
+    if (player === 0) {
+        showHudMessage(text);
+    } else {
+        showSecondPlayerMessage(text);
+    }
+}
+
+// Player two's version of showHudMessage
+function showSecondPlayerMessage(text) {
+    const message = document.getElementById('hud-message-p2');
+    message.textContent = text;
+    message.classList.remove('hidden');
+
+    clearTimeout(secondPlayer.messageTimer);
+    secondPlayer.messageTimer = setTimeout(() => message.classList.add('hidden'), 1200);
+}
+
+// Player two's version of updateUI
+function updateSecondPlayerHud() {
+    const state = secondPlayer.state;
+    document.getElementById('p2-speed-display').textContent = Math.floor(state.speed * SPEED_TO_KMH);
+    document.getElementById('p2-score-display').textContent = state.score;
+    document.getElementById('p2-distance-display').textContent = Math.floor(state.distance);
+    document.getElementById('p2-lives-container').classList.toggle('hidden', state.checkpoints.length === 0);
+    document.getElementById('p2-lives-display').textContent = state.lives;
+}
+
+// Both players are done: compare them on the results screen
+function showSplitScreenResults() {
+    gameOver = true;
+    gameStarted = false;
+
+    const states = getRunStates();
+    const winner = getRaceWinner(states);
+    document.getElementById('split-winner').textContent = winner === null ? 'Draw!' : `Player ${winner + 1} Wins!`;
+
+    const rows = [
+        ['Result', state => state.status === 'complete' ? 'Finished' : 'Crashed'],
+        ['Time', state => state.status === 'complete' ? formatTime(getElapsedTime(state)) : '-'],
+        ['Score', state => state.score],
+        ['Distance', state => `${Math.floor(state.distance)}m`]
+    ];
+    const body = document.getElementById('split-results-body');
+    body.innerHTML = '';
+    rows.forEach(([label, value]) => {
+        const row = document.createElement('tr');
+        [label].concat(states.map(value)).forEach((text, index) => {
+            const cell = document.createElement(index === 0 ? 'th' : 'td');
+            cell.textContent = text;
+            if (index - 1 === winner) cell.className = 'winner';
+            row.appendChild(cell);
+        });
+        body.appendChild(row);
+    });
+
+    document.getElementById('split-results').classList.remove('hidden');
+}
+
+// Index of the winning player, or null for a draw
+// Finishing beats crashing, then the quicker time (or the longer flight when both crashed), then the score
+function getRaceWinner(states) {
+    const [a, b] = states;
+    const compare = (x, y) => x === y ? 0 : (x > y ? 1 : -1);
+
+    let order = compare(a.status === 'complete', b.status === 'complete');
+    if (order === 0 && a.status === 'complete') order = compare(b.tick, a.tick);
+    if (order === 0 && a.status !== 'complete') order = compare(Math.floor(a.distance), Math.floor(b.distance));
+    if (order === 0) order = compare(a.score, b.score);
+
+    return order === 0 ? null : (order > 0 ? 0 : 1);
+}
+
+// Draw both halves of the screen, each from its player's chase camera
+function renderSplitScreen(alpha) {
+    if (!secondPlayer.state) return;
+
+    // Player two's plane is a tinted copy of the plane model, made once it has loaded
+    if (!secondPlayer.model && plane) {
+        secondPlayer.model = createSecondPlayerModel(plane);
+    }
+    if (secondPlayer.model) {
+        placePlaneModel(secondPlayer.model, secondPlayer.state.plane, alpha);
+        placeCamera(secondPlayer.camera, secondPlayer.model, false, 0);
+    }
+
+    const width = window.innerWidth / 2;
+    const height = window.innerHeight;
+    const firstPersonHidden = plane && !plane.visible;
+
+    renderer.setScissorTest(true);
+    [[plane, camera], [secondPlayer.model, secondPlayer.camera]].forEach(([model, view], index) => {
+        if (model) followWithLight(model);
+
+        // Player one's plane is hidden in their own first-person view, but player two should still see it
+        if (firstPersonHidden) plane.visible = index === 1;
+
+        renderer.setViewport(index * width, 0, width, height);
+        renderer.setScissor(index * width, 0, width, height);
+        renderer.render(scene, view);
+    });
+    if (firstPersonHidden) plane.visible = false;
+
+    renderer.setScissorTest(false);
+    renderer.setViewport(0, 0, window.innerWidth, window.innerHeight);
+}
+
+// Fit the cameras to the halves of the screen, or player one's to the whole screen after a race
+function resizeSplitScreen() {
+    const width = splitScreenMode ? window.innerWidth / 2 : window.innerWidth;
+    [camera, secondPlayer && secondPlayer.camera].forEach(view => {
+        if (!view) return;
+        view.aspect = width / window.innerHeight;
+        view.updateProjectionMatrix();
+    });
+}
+
+// Copy the plane model with tinted materials of its own
+function createSecondPlayerModel(planeModel) {
+    const model = planeModel.clone();
+    const tint = new THREE.Color(PLAYER_TWO_COLOR);
+    model.visible = true;
+
+    model.traverse((child) => {
+        if (!child.isMesh) return;
+
+        const tinted = material => {
+            const copy = material.clone();
+            if (copy.color) copy.color.lerp(tint, PLAYER_TWO_TINT);
+            return copy;
+        };
+        child.material = Array.isArray(child.material) ? child.material.map(tinted) : tinted(child.material);
+    });
+
+    scene.add(model);
+    return model;
+}
+
+// Forget player two's copy of the plane model (the aircraft changed or the race is over)
+function releaseSecondPlayerModel() {
+    if (!secondPlayer || !secondPlayer.model) return;
+
+    scene.remove(secondPlayer.model);
+    secondPlayer.model.traverse((child) => {
+        if (!child.isMesh) return;
+        (Array.isArray(child.material) ? child.material : [child.material]).forEach(mat => mat.dispose());
+    });
+    secondPlayer.model = null;
+}
@@ -0,0 +1,185 @@
+// Deterministic gameplay tests for the game core, run with `npm test` (no browser needed)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const GameCore = require('../core.js');
+const { parseCourseCode } = require('../random.js');
+const { normalizeLevelDefinition } = require('../levels.js');
+
+const COURSE_CODE = 'L3-1K9F2Q';
+const MAX_STEPS = 60 * GameCore.SIMULATION_RATE; // A minute of flight, every test run ends well before
+
+// Steer and pitch toward a point, like a player lining up with a ring
+function flyToward(state, target) {
+    const position = state.plane.position;
+    return {
+        throttle: 0,
+        steer: Math.max(-1, Math.min(1, (position.x - target.x) / 2)), // Positive steers toward -X
+        pitch: Math.max(-1, Math.min(1, (position.y - target.y) / 2)) // Positive dives
+    };
+}
+
+// Weave across the course on a fixed script, so the inputs only depend on the tick
+function scriptedInput(tick) {
+    return {
+        throttle: tick % 600 < 120 ? 1 : 0,
+        steer: Math.sin(tick / 45),
+        pitch: Math.cos(tick / 70) * 0.5
+    };
+}
+
+// Step a run until it ends, returns every event (without the objects they refer to) and the final state
+function runToEnd(state, getInput) {
+    const events = [];
+    for (let step = 0; step < MAX_STEPS && state.status === 'running'; step++) {
+        GameCore.stepGame(state, getInput(state), GameCore.FIXED_TIMESTEP).forEach(event => {
+            events.push({ tick: state.tick, type: event.type, cause: event.cause, points: event.points });
+        });
+    }
+    return { events: events, state: state };
+}
+
+function eventsOfType(run, type) {
+    return run.events.filter(event => event.type === type);
+}
+
+// A level 3 run from the course code, with or without hand-placed pillars
+function createCourse(options = {}) {
+    const course = parseCourseCode(COURSE_CODE);
+    return GameCore.createGameState(Object.assign({
+        level: course.level,
+        levelDistance: 1500,
+        seed: course.seed,
+        pickups: { chance: 0 }
+    }, options));
+}
+
+test('flying into a pillar crashes the run', () => {
+    const run = runToEnd(createCourse({ obstacles: [{ x: 0, z: 150 }] }), () => GameCore.NO_INPUT);
+
+    assert.equal(run.state.status, 'crashed');
+    assert.deepEqual(eventsOfType(run, 'crash').map(event => event.cause), ['pillar']);
+    const crashZ = run.state.plane.position.z;
+    assert.ok(crashZ > 145 && crashZ < 150, `crashed at the pillar, not at ${crashZ}`);
+});
+
+test('flying through the rings scores them and completes the level', () => {
+    const bonusRing = { x: 12, y: 6, z: 400 };
+    const state = createCourse({ obstacles: [], rings: [bonusRing] });
+    const run = runToEnd(state, current => flyToward(current, current.rings[0].passed ? current.ring : bonusRing));
+
+    assert.equal(run.state.status, 'complete');
+    assert.deepEqual(eventsOfType(run, 'ringPassed').map(event => event.points), [GameCore.BONUS_RING_POINTS]);
+    assert.equal(eventsOfType(run, 'levelComplete').length, 1);
+    assert.equal(eventsOfType(run, 'crash').length, 0);
+    assert.equal(run.state.scoreBreakdown.rings, GameCore.BONUS_RING_POINTS);
+});
+
+test('missing the golden ring ends the run', () => {
+    const state = createCourse({ obstacles: [] });
+    const run = runToEnd(state, current => flyToward(current, { x: 30, y: current.ring.y }));
+
+    assert.equal(run.state.status, 'crashed');
+    assert.deepEqual(eventsOfType(run, 'crash').map(event => event.cause), ['missedRing']);
+});
+
+test('a trigger\'s speed target is eased toward and then held', () => {
+    const state = createCourse({ obstacles: [] });
+    const aircraft = state.aircraft;
+    const halfway = (aircraft.minSpeed + aircraft.maxSpeed) / 2;
+    const input = Object.assign({}, GameCore.NO_INPUT, { speedTarget: 0.5 });
+
+    GameCore.stepGame(state, input, GameCore.FIXED_TIMESTEP);
+    assert.ok(state.speed > GameCore.INITIAL_SPEED && state.speed < halfway, 'the speed changes gradually');
+
+    for (let step = 0; step < 10 * GameCore.SIMULATION_RATE; step++) {
+        GameCore.stepGame(state, input, GameCore.FIXED_TIMESTEP);
+    }
+    assert.equal(state.speed, halfway);
+
+    GameCore.stepGame(state, GameCore.NO_INPUT, GameCore.FIXED_TIMESTEP);
+    assert.equal(state.speed, halfway, 'released triggers leave the speed alone');
+});
+
+test('the same seed and inputs give the same run', () => {
+    const first = runToEnd(createCourse({ hazards: { droneChance: 0.3, missileInterval: 400 }, pickups: {} }), current => scriptedInput(current.tick));
+    const second = runToEnd(createCourse({ hazards: { droneChance: 0.3, missileInterval: 400 }, pickups: {} }), current => scriptedInput(current.tick));
+
+    assert.ok(eventsOfType(first, 'pillarPassed').length > 0, 'the run got past some pillars');
+    assert.deepEqual(second.events, first.events);
+    assert.equal(second.state.tick, first.state.tick);
+    assert.equal(second.state.score, first.state.score);
+    assert.deepEqual(second.state.plane.position, first.state.plane.position);
+});
+
+test('a different seed lays out a different course', () => {
+    const pillarsOf = state => state.pillars.all().map(pillar => `${pillar.x},${pillar.z}`);
+    const first = createCourse();
+    const other = createCourse({ seed: first.seed + 1 });
+
+    assert.notDeepEqual(pillarsOf(other), pillarsOf(first));
+    assert.deepEqual(pillarsOf(createCourse()), pillarsOf(first));
+});
+
+test('level files with numbers the course generator can\'t use are rejected', () => {
+    const rejected = [
+        { course: { pillarSpacing: 0 } },
+        { course: { pillarSpacing: -50 } },
+        { course: { pillarSpacing: 'wide' } },
+        { course: { minPillarsPerRow: -1 } },
+        { course: { maxPillarsPerRow: 2.5 } },
+        { course: { minPillarsPerRow: 4, maxPillarsPerRow: 2 } },
+        { course: { minPillarsPerRow: GameCore.DEFAULT_COURSE.maxPillarsPerRow + 1 } },
+        { ring: { y: null } },
+        { hazards: { droneChance: 2 } },
+        { pickups: { coin: -1 } },
+        { pickups: 'lots' }
+    ];
+
+    rejected.forEach(sections => {
+        const data = Object.assign({ distance: 1000 }, sections);
+        assert.throws(() => normalizeLevelDefinition(data, 'bad.json'), /^Error: bad\.json has /, JSON.stringify(sections));
+    });
+});
+
+test('level file numbers are read as numbers', () => {
+    const level = normalizeLevelDefinition({
+        distance: '1000',
+        course: { pillarSpacing: '40', maxPillarsPerRow: '4' },
+        pickups: { chance: '0.25' }
+    }, 'level.json');
+
+    assert.deepEqual(level.course, { pillarSpacing: 40, maxPillarsPerRow: 4 });
+    assert.deepEqual(level.pickups, { chance: 0.25 });
+});
+
+// What the editor does with an imported file: read it, then lay out its pillars if it has none placed
+function importLevel(text) {
+    const level = normalizeLevelDefinition(JSON.parse(text), 'imported.json');
+    return GameCore.layoutCourse({ level: 1, levelDistance: level.distance, seed: 1, course: level.course });
+}
+
+test('importing a course with no pillar spacing throws instead of hanging', () => {
+    assert.throws(() => importLevel('{"distance": 1000, "course": {"pillarSpacing": 0}}'), /invalid course pillarSpacing/);
+    assert.throws(() => importLevel('{"distance": 1000, "course": {"pillarSpacing": "far"}}'), /invalid course pillarSpacing/);
+    assert.ok(importLevel('{"distance": 1000, "course": {"pillarSpacing": "80"}}').length > 0);
+});
+
+test('an arcade plane turned hard into a wall keeps flying down the course', () => {
+    const state = createCourse({ obstacles: [], flightModel: 'arcade' });
+    let backwardSteps = 0;
+    // Swing right, then hold a hard left turn into the +X wall, holding the altitude
+    const run = runToEnd(state, current => {
+        backwardSteps += current.plane.position.z < current.plane.previousPosition.z ? 1 : 0;
+        if (current.tick >= 15 * GameCore.SIMULATION_RATE) return GameCore.NO_INPUT;
+        return {
+            throttle: 0,
+            steer: current.tick < 90 ? 1 : -1,
+            pitch: Math.max(-1, Math.min(1, (current.plane.position.y - 6) / 2))
+        };
+    });
+
+    assert.equal(backwardSteps, 0, 'the plane never flew back up the course');
+    assert.ok(run.state.plane.position.x > GameCore.BARRIER_X - 5, 'the plane ended up against the wall');
+    assert.deepEqual(eventsOfType(run, 'crash').map(event => event.cause), ['missedRing']);
+});
@@ -0,0 +1,117 @@
+// Time trial - race a level against the clock on a fixed course, with splits against your best run
+// Times come from simulation steps, so they don't depend on the frame rate
+
+const TIME_TRIAL_SEED = 20240601; // Every time trial flies this layout, so times can be compared
+const TIME_TRIAL_SPLIT_DISTANCE = 1000; // Levels without checkpoints take a split every this many metres
+const SPLIT_DELTA_TIME = 3000; // Milliseconds a split delta stays on the HUD
+
+let timeTrialMode = false; // Start screen choice: levels are played as time trials
+let timeTrialSplitPoints = []; // Distances the current run takes a split at
+let timeTrialSplits = []; // Seconds at each split reached this run
+let splitDeltaTimer = null;
+
+// Is the current run a time trial? (test flights, endless runs, split-screen and online races never are)
+function isTimeTrialRun() {
+    return timeTrialMode && !customLevel && !endlessMode && !splitScreenMode && !onlineRace;
+}
+
+// Seed the current run's course is built from
+function getRunSeed() {
+    return isTimeTrialRun() ? TIME_TRIAL_SEED : courseSeed;
+}
+
+// Switch time trials on or off from the start screen
+function setTimeTrialMode(enabled) {
+    timeTrialMode = enabled;
+    updateSeedDisplay();
+}
+
+// Get ready to time a new run: splits at the checkpoints, or every TIME_TRIAL_SPLIT_DISTANCE
+function resetTimeTrial() {
+    timeTrialSplits = [];
+    timeTrialSplitPoints = [];
+    hideSplitDelta();
+    document.getElementById('timer-container').classList.toggle('hidden', !isTimeTrialRun());
+    if (!isTimeTrialRun()) return;
+
+    const level = getCurrentLevel();
+    if (level.checkpoints.length) {
+        timeTrialSplitPoints = level.checkpoints.map(checkpoint => checkpoint.z).sort((a, b) => a - b);
+    } else {
+        for (let z = TIME_TRIAL_SPLIT_DISTANCE; z < gameState.ring.z; z += TIME_TRIAL_SPLIT_DISTANCE) {
+            timeTrialSplitPoints.push(z);
+        }
+    }
+}
+
+// Seconds the run has been going
+function getElapsedTime(state) {
+    return state.tick * GameCore.FIXED_TIMESTEP;
+}
+
+// Take the splits reached during the last step and show how they compare with the best run
+function updateTimeTrial() {
+    if (!isTimeTrialRun()) return;
+
+    while (timeTrialSplits.length < timeTrialSplitPoints.length &&
+        gameState.distance >= timeTrialSplitPoints[timeTrialSplits.length]) {
+        const index = timeTrialSplits.length;
+        const time = getElapsedTime(gameState);
+        timeTrialSplits.push(time);
+
+        const best = getLevelRecord(currentLevel).bestSplits[index];
+        if (best !== undefined) {
+            showSplitDelta(time - best);
+        }
+    }
+}
+
+// Show a split against the best run, green when ahead and red when behind
+function showSplitDelta(delta) {
+    const display = document.getElementById('split-delta');
+    display.textContent = `${delta <= 0 ? '-' : '+'}${Math.abs(delta).toFixed(2)}`;
+    display.classList.toggle('ahead', delta <= 0);
+    display.classList.remove('hidden');
+
+    clearTimeout(splitDeltaTimer);
+    splitDeltaTimer = setTimeout(hideSplitDelta, SPLIT_DELTA_TIME);
+}
+
+function hideSplitDelta() {
+    clearTimeout(splitDeltaTimer);
+    document.getElementById('split-delta').classList.add('hidden');
+}
+
+// Show the running time on the HUD
+function updateTimerDisplay() {
+    if (isTimeTrialRun()) {
+        document.getElementById('timer-display').textContent = formatTime(getElapsedTime(gameState));
+    }
+}
+
+// Save a finished time trial, returns { time, medal, newBest }
+function finishTimeTrial() {
+    const time = getElapsedTime(gameState);
+    const medal = getMedal(getCurrentLevel(), time);
+    const newBest = recordTimeTrialResult(currentLevel, time, timeTrialSplits, medal);
+    return { time: time, medal: medal, newBest: newBest };
+}
+
+// Show the time, medal and best time of a finished time trial on the game over screen (null hides them)
+function showTimeTrialResult(result) {
+    document.getElementById('final-time-line').classList.toggle('hidden', !result);
+    if (!result) return;
+
+    const best = getLevelRecord(currentLevel).bestTime;
+    const medal = result.medal ? ` - ${MEDAL_NAMES[result.medal]}` : '';
+    document.getElementById('final-time').textContent =
+        `${formatTime(result.time)}${medal} (${result.newBest ? 'new best!' : `best ${formatTime(best)}`})`;
+}
+
+// Seconds as m:ss.cc
+function formatTime(seconds) {
+    const hundredths = Math.round(seconds * 100);
+    const minutes = Math.floor(hundredths / 6000);
+    const rest = ((hundredths % 6000) / 100).toFixed(2).padStart(5, '0');
+    return `${minutes}:${rest}`;
+}